@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// hk-holidays — one command line for the whole data pipeline.
+//
+//   hk-holidays fetch [--govhk --from 2024 --to 2026]   download 1823 feeds (and GovHK pages)
+//   hk-holidays build [--from 2017 --to 2030] [--strict] sources → data/company_holidays_*
+//   hk-holidays validate [file]                          schema + data-quality checks
+//   hk-holidays diff <before> [after]                    added / removed / moved / renamed
+//   hk-holidays export --format ics|csv|xlsx|json [--lang zh] [--statutory-only] [--out file]
+//   hk-holidays query [2025-12-26] [--format json]
+//   hk-holidays serve [--port 8080]                      HTTP API + calendar pages
+//   hk-holidays pdf [2025] [--paper a3] [--lang zh-HK]   printable year calendar (headless Chrome)
+//
+// Every command accepts --data-dir, --input-dir (repeatable), --reports-dir and
+// --overlays; see cli/config.js for the defaults.
+
+import { runCli } from '../cli/main.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,163 @@
+// `hk-holidays build`: official sources → company_holidays_* in the data
+// directory (per-year and ALL JSON, ICS, per-entity calendars), checked
+// against the record schema on the way out.  Macau and Mainland datasets go
+// to regions/company_holidays_<region>_<year>.json (lib/regions.js).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { assembleHolidays } from '../lib/dataset.js';
+import { toICS } from '../lib/ics-export.js';
+import { applyOverlay, overlayEntities } from '../lib/overlays.js';
+import { conflictMarkdown, mergeSources } from '../lib/merge.js';
+import { DEFAULT_REGION, normalizeRegion, REGION_IDS, regionFile } from '../lib/regions.js';
+import { validateHolidays, validationMarkdown } from '../lib/validate.js';
+import { SCHEMA_FILE, sourcePriority, yearRange } from './config.js';
+import { readLabourPages, readOfficialHolidays } from './sources.js';
+
+export const DEFAULT_FROM = 2017;
+// Years past the current one that a build covers by default; those without an
+// official list are generated (lib/generator.js) and flagged provisional.
+export const GENERATOR_HORIZON = 4;
+const ICS_LANGS = ['en', 'zh'];
+
+export function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// company_holidays_ALL.json, company_holidays_<entity>_ALL.json with an
+// entity, or regions/company_holidays_<region>_ALL.json for Macau and the
+// Mainland.  Entities are Hong Kong overlays, so they take no other region.
+export function datasetFile(dirs, { entity, region } = {}) {
+  const id = region ? normalizeRegion(region) : DEFAULT_REGION;
+  if (!id) throw new TypeError(`Unknown region "${region}"; use ${REGION_IDS.join(', ')}`);
+  if (id === DEFAULT_REGION) return path.join(dirs.dataDir, `company_holidays${entity ? `_${entity}` : ''}_ALL.json`);
+  if (entity) throw new TypeError(`Entity calendars are Hong Kong only; leave out the region ${id}`);
+  return path.join(dirs.dataDir, regionFile(id));
+}
+
+export function loadSchema() {
+  return readJSON(SCHEMA_FILE);
+}
+
+function writeJSON(dir, name, data) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(data, null, 2), 'utf8');
+}
+
+// DTSTAMP for an ICS file: the one it already has when the events are the
+// same, so rebuilding unchanged data leaves the calendars untouched; the
+// current time otherwise.
+function icsStamp(file, render) {
+  const old = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const stamp = old.match(/^DTSTAMP:(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z\r?$/m);
+  if (!stamp) return new Date();
+  const previous = new Date(Date.UTC(stamp[1], stamp[2] - 1, stamp[3], stamp[4], stamp[5], stamp[6]));
+  return render(previous) === old ? previous : new Date();
+}
+
+// company_holidays[_<entity>][_<year>]_<lang>.ics — subscribable copies of the JSON output.
+function writeICS(dir, year, list, entity) {
+  const suffix = `${entity ? `_${entity.id}` : ''}${year ? `_${year}` : ''}`;
+  for (const lang of ICS_LANGS) {
+    const calName = entity ? (lang === 'zh' ? entity.name_zh : entity.name_en) : undefined;
+    const file = path.join(dir, `company_holidays${suffix}_${lang}.ics`);
+    const render = dtstamp => toICS(list, { lang, calName, dtstamp });
+    fs.writeFileSync(file, render(icsStamp(file, render)), 'utf8');
+  }
+}
+
+export function loadOverlays(file) {
+  return fs.existsSync(file) ? overlayEntities(readJSON(file)) : [];
+}
+
+// One calendar per entity in company_overlays.json:
+// company_holidays_<entity>_<year>.json, company_holidays_<entity>_ALL.json and ICS.
+function writeEntityCalendars(dir, all, entities) {
+  for (const entity of entities) {
+    const list = applyOverlay(all, entity);
+    const byYear = {};
+    list.forEach(h => { (byYear[h.date.slice(0,4)] = byYear[h.date.slice(0,4)] || []).push(h); });
+    for (const [y, items] of Object.entries(byYear)) {
+      writeJSON(dir, `company_holidays_${entity.id}_${y}.json`, items);
+      writeICS(dir, y, items, entity);
+    }
+    writeJSON(dir, `company_holidays_${entity.id}_ALL.json`, list);
+    writeICS(dir, null, list, entity);
+    console.log(`${entity.id}: ${list.length} records`);
+  }
+}
+
+// reports/validation.md for people, reports/validation.json for CI and tooling.
+export function writeValidationReports(reportsDir, result) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(path.join(reportsDir, 'validation.md'), validationMarkdown(result), 'utf8');
+  fs.writeFileSync(path.join(reportsDir, 'validation.json'), JSON.stringify(result, null, 2), 'utf8');
+}
+
+// reports/conflicts.md and .json (sources that disagree), reports/provenance.json
+// (which source supplied each date, name and statutory flag).
+function writeSourceReports(reportsDir, merged, provenance) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(path.join(reportsDir, 'conflicts.md'), conflictMarkdown(merged), 'utf8');
+  fs.writeFileSync(path.join(reportsDir, 'conflicts.json'), JSON.stringify({ sources: merged.sources, conflicts: merged.conflicts }, null, 2), 'utf8');
+  fs.writeFileSync(path.join(reportsDir, 'provenance.json'), JSON.stringify({ sources: merged.sources, fields: provenance }, null, 2), 'utf8');
+}
+
+export function logIssues(result) {
+  for (const i of result.issues) console[i.level === 'error' ? 'error' : 'warn'](`${i.level}: ${i.region ? `${i.region} ` : ''}${i.year ?? ''} ${i.date || ''} ${i.message}`);
+}
+
+// Every region but Hong Kong, from its own sources (or the generator alone).
+function assembleRegions(official, range) {
+  return REGION_IDS.filter(r => r !== DEFAULT_REGION).map(region => {
+    const merged = official.get(region) || mergeSources([]);
+    if (merged.conflicts.length) console.warn(`${region}: ${merged.conflicts.length} source conflict(s), resolved by priority`);
+    const { years, byYear, all, generated } = assembleHolidays(merged, { range, region });
+    if (generated.length) console.log(`${region}: no official data for ${generated.map(g => g.year).join(', ')}, using provisional holidays`);
+    return { region, years, byYear, all };
+  });
+}
+
+function writeRegions(dir, regions) {
+  fs.mkdirSync(path.join(dir, 'regions'), { recursive: true });
+  for (const { region, years, byYear, all } of regions) {
+    for (const y of years) writeJSON(dir, regionFile(region, y), byYear[y]);
+    writeJSON(dir, regionFile(region), all);
+    console.log(`${region}: ${all.length} records`);
+  }
+}
+
+// Returns 0, or 1 when --strict and validation failed (nothing is written then).
+export async function build({ options, dirs }) {
+  const range = yearRange(options, DEFAULT_FROM, new Date().getFullYear() + GENERATOR_HORIZON);
+  const official = await readOfficialHolidays(dirs.inputDirs, range, { priority: sourcePriority(options) });
+  const merged = official.get(DEFAULT_REGION);
+  if (merged.conflicts.length) console.warn(`${merged.conflicts.length} source conflict(s), resolved by priority; see reports/conflicts.md`);
+  const labour = await readLabourPages(dirs.inputDirs, options['labour-page'] || []);
+  const { years, byYear, all, provenance, generated, labourDifferences } = assembleHolidays(merged, {
+    range, labourDates: labour.dates, labourFiles: labour.files,
+  });
+  for (const g of generated) console.log(`${g.year}: no official data, using ${g.count} provisional holidays`);
+  for (const d of labourDifferences) console.warn(`${d.year}: labour page and derived statutory dates differ on ${d.dates.join(', ')}`);
+  writeSourceReports(dirs.reportsDir, merged, provenance);
+  const regions = assembleRegions(official, range);
+
+  const result = validateHolidays([...all, ...regions.flatMap(r => r.all)], { schema: loadSchema() });
+  writeValidationReports(dirs.reportsDir, result);
+  logIssues(result);
+  if (options.strict && !result.ok) {
+    console.error(`Validation failed with ${result.errors} error(s); data not written (see ${path.join(dirs.reportsDir, 'validation.md')}).`);
+    return 1;
+  }
+
+  fs.mkdirSync(dirs.dataDir, { recursive: true });
+  for (const y of years) {
+    writeJSON(dirs.dataDir, `company_holidays_${y}.json`, byYear[y]);
+    writeICS(dirs.dataDir, y, byYear[y]);
+  }
+  writeJSON(dirs.dataDir, 'company_holidays_ALL.json', all);
+  writeICS(dirs.dataDir, null, all);
+  writeEntityCalendars(dirs.dataDir, all, loadOverlays(dirs.overlaysFile));
+  writeRegions(dirs.dataDir, regions);
+  console.log(`Done. ${all.length} records, ${result.errors} error(s), ${result.warnings} warning(s).`);
+  return 0;
+}
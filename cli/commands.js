@@ -0,0 +1,176 @@
+// The read-only subcommands: validate, diff, export, query and digest.  Each takes
+// the parsed command line ({ args, options, dirs }) and returns an exit code.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createBusinessCalendar } from '../lib/business-days.js';
+import { filterHolidays, toCSV } from '../lib/csv-export.js';
+import { toISODate, today, weekday } from '../lib/dates.js';
+import { diffHolidays, diffMarkdown, mergeSnapshots, snapshotRecords } from '../lib/diff.js';
+import { DIGEST_FORMATS, formatDigest, upcomingHolidays } from '../lib/digest.js';
+import { toICS } from '../lib/ics-export.js';
+import { createHolidayCalendar, normalizeRecords } from '../lib/query.js';
+import { holidayType, typeLabel } from '../lib/types.js';
+import { validateHolidays } from '../lib/validate.js';
+import { toXLSX } from '../lib/xlsx-export.js';
+import { datasetFile, loadSchema, logIssues, readJSON, writeValidationReports } from './build.js';
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx', 'ics'];
+const SNAPSHOT_RE = /^(\d{8}-\d{4})-(en|tc)\.json$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The dataset of --entity or --region (see datasetFile), Hong Kong by default.
+function loadDataset(dirs, { entity, region } = {}) {
+  const file = datasetFile(dirs, { entity, region });
+  if (!fs.existsSync(file)) throw new Error(`${file} not found; run "hk-holidays build" first`);
+  return normalizeRecords(readJSON(file));
+}
+
+// Text or bytes to --out, or to stdout.
+function output(content, out) {
+  if (out) {
+    fs.writeFileSync(out, content);
+    console.error(`Wrote ${out}`);
+  } else if (typeof content !== 'string') {
+    process.stdout.write(content);
+  } else {
+    process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+  }
+}
+
+// hk-holidays validate [file] [--region mo|cn]
+export function validate({ args, options, dirs }) {
+  const file = args[0] ? path.resolve(args[0]) : datasetFile(dirs, options);
+  const result = validateHolidays(normalizeRecords(readJSON(file)), { schema: loadSchema() });
+  writeValidationReports(dirs.reportsDir, result);
+  logIssues(result);
+  console.log(`${path.basename(file)}: ${result.ok ? 'PASS' : 'FAIL'} — ${result.errors} error(s), ${result.warnings} warning(s)`);
+  return result.ok ? 0 : 1;
+}
+
+// ---------- diff ----------
+
+function findFile(name, dirs) {
+  if (fs.existsSync(name)) return name;
+  for (const dir of [dirs.dataDir, ...dirs.inputDirs]) {
+    if (fs.existsSync(path.join(dir, name))) return path.join(dir, name);
+  }
+  throw new Error(`Snapshot not found: ${name}`);
+}
+
+// The newest dated en + tc snapshot pair across the input directories.
+function latestSnapshot(dirs) {
+  const files = dirs.inputDirs
+    .filter(d => fs.existsSync(d))
+    .flatMap(d => fs.readdirSync(d).filter(f => SNAPSHOT_RE.test(f)).map(f => path.join(d, f)))
+    .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  if (!files.length) throw new Error('No dated snapshots in the input directories');
+  const pick = lang => files.filter(f => path.basename(f).match(SNAPSHOT_RE)[2] === lang).pop();
+  return [pick('en'), pick('tc')].filter(Boolean).join(',');
+}
+
+// One side of a diff: a file, several joined with commas, or `latest`.
+function loadSide(spec, dirs) {
+  const files = (spec === 'latest' ? latestSnapshot(dirs) : spec).split(',').map(s => s.trim()).filter(Boolean);
+  const lists = files.map(name => {
+    const file = findFile(name, dirs);
+    const lang = /tc|zh/i.test(path.basename(file)) ? 'zh' : 'en';
+    return snapshotRecords(fs.readFileSync(file, 'utf8'), { lang });
+  });
+  return { label: files.map(f => path.basename(f)).join(', '), records: mergeSnapshots(lists) };
+}
+
+// hk-holidays diff <before> [after]  (after defaults to company_holidays_ALL.json)
+export function diff({ args, dirs }) {
+  if (!args.length) throw new Error('Usage: hk-holidays diff <before> [after]');
+  const before = loadSide(args[0], dirs);
+  const after = loadSide(args[1] || datasetFile(dirs), dirs);
+  const result = diffHolidays(before.records, after.records, { beforeLabel: before.label, afterLabel: after.label });
+
+  fs.mkdirSync(dirs.reportsDir, { recursive: true });
+  fs.writeFileSync(path.join(dirs.reportsDir, 'diff.md'), diffMarkdown(result), 'utf8');
+  fs.writeFileSync(path.join(dirs.reportsDir, 'diff.json'), JSON.stringify(result, null, 2), 'utf8');
+
+  for (const y of result.years.filter(v => v.changes)) {
+    console.log(`${y.year}: ${y.added.length} added, ${y.removed.length} removed, ${y.moved.length} moved, ${y.renamed.length} renamed`);
+  }
+  console.log(`${result.changes} change(s) between ${before.label} and ${after.label}; see ${path.join(dirs.reportsDir, 'diff.md')}`);
+  return 0;
+}
+
+// hk-holidays export --format json|csv|xlsx|ics [--lang en|zh] [--entity id | --region mo|cn] [--from --to]
+//   [--statutory-only] [--columns date,weekday_en,name_en,…] [--out file]
+// CSV carries a UTF-8 BOM so Excel reads the Chinese names; --lang picks the
+// spreadsheet headers and the ICS language.
+export function exportData({ options, dirs }) {
+  const format = options.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown format "${format}"; use ${EXPORT_FORMATS.join(', ')}`);
+  if (format === 'xlsx' && !options.out && process.stdout.isTTY) throw new Error('XLSX is binary; give --out file.xlsx');
+  const lang = options.lang === 'zh' ? 'zh' : 'en';
+  const records = filterHolidays(loadDataset(dirs, options), {
+    from: options.from,
+    to: options.to,
+    statutoryOnly: options['statutory-only'],
+  });
+  const columns = options.columns;
+
+  if (format === 'csv') output(toCSV(records, { columns, lang, bom: true }), options.out);
+  else if (format === 'xlsx') output(toXLSX(records, { columns, lang }), options.out);
+  else if (format === 'ics') output(toICS(records, { lang }), options.out);
+  else output(JSON.stringify(records, null, 2), options.out);
+  return 0;
+}
+
+// hk-holidays query [date] [--entity id | --region mo|cn] [--lang en|zh] [--format json]
+export function query({ args, options, dirs }) {
+  const records = loadDataset(dirs, options);
+  const calendar = createHolidayCalendar(records);
+  const business = createBusinessCalendar(records);
+  const lang = options.lang === 'zh' ? 'zh' : 'en';
+  const iso = toISODate(args[0] || today());
+  if (!iso) throw new Error(`Invalid date: ${args[0]}`);
+
+  const holiday = calendar.getHoliday(iso, lang);
+  const next = calendar.nextHoliday(iso, lang);
+  const businessDay = business.isBusinessDay(iso);
+  // Mainland adjusted working days are records too, but not holidays.
+  const workday = records.find(h => h.date === iso && holidayType(h) === 'workday');
+  const workdayName = workday && (lang === 'zh' ? workday.name_zh : workday.name_en);
+  if (options.format === 'json') {
+    output(JSON.stringify({ date: iso, holiday, businessDay, ...(workday ? { workday: workdayName } : {}), nextHoliday: next }, null, 2));
+    return 0;
+  }
+
+  const lines = [];
+  if (holiday) {
+    const flags = [typeLabel(holiday, lang), holiday.provisional && 'provisional'].filter(Boolean);
+    lines.push(`${iso} (${WEEKDAYS[weekday(iso)]}): ${holiday.name} — ${flags.join(', ')}`);
+  } else {
+    lines.push(`${iso} (${WEEKDAYS[weekday(iso)]}): ${workday ? workdayName : 'not a holiday'}`);
+  }
+  lines.push(`Business day: ${businessDay ? 'yes' : 'no'}`);
+  if (next) lines.push(`Next holiday: ${next.date} ${next.name}`);
+  output(lines.join('\n'));
+  return 0;
+}
+
+// hk-holidays digest [date] [--days 14 | --weeks 2] [--format md|txt|rss|atom|json]
+//   [--lang both|en|zh] [--entity id | --region mo|cn] [--statutory-only] [--out file]
+// The holidays of the next days from the date (today by default), for cron:
+// the output only depends on the date and the dataset.
+export function digest({ args, options, dirs }) {
+  const format = options.format || 'md';
+  if (!DIGEST_FORMATS.includes(format)) throw new Error(`Unknown format "${format}"; use ${DIGEST_FORMATS.join(', ')}`);
+  if (options.days && options.weeks) throw new Error('Give --days or --weeks, not both');
+  for (const name of ['days', 'weeks']) {
+    if (options[name] !== undefined && !(/^\d+$/.test(options[name]) && Number(options[name]) > 0)) {
+      throw new Error(`Invalid --${name}: ${options[name]} (expected a positive whole number)`);
+    }
+  }
+  const days = options.weeks ? Number(options.weeks) * 7 : Number(options.days || 14);
+  const from = toISODate(args[0] || today());
+  if (!from) throw new Error(`Invalid date: ${args[0]}`);
+  const result = upcomingHolidays(loadDataset(dirs, options), { from, days, statutoryOnly: options['statutory-only'] });
+  output(formatDigest(result, format, { lang: options.lang || 'both' }), options.out);
+  return 0;
+}
@@ -0,0 +1,78 @@
+// Command-line options shared by every hk-holidays subcommand, and the
+// directories they resolve to.  Defaults follow the repository layout:
+//
+//   --data-dir     data/      company_holidays_* outputs (and 1823 snapshots)
+//   --input-dir    data/, inputs/   source feeds and saved pages; repeatable
+//   --reports-dir  reports/   validation / diff reports
+//   --overlays     data/company_overlays.json
+//
+// Relative paths given on the command line resolve against the working directory.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const SCHEMA_FILE = path.join(ROOT_DIR, 'schema', 'holiday-record.schema.json');
+
+const OPTIONS = {
+  'data-dir': { type: 'string' },
+  'input-dir': { type: 'string', multiple: true },
+  'reports-dir': { type: 'string' },
+  overlays: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  days: { type: 'string' },
+  weeks: { type: 'string' },
+  strict: { type: 'boolean' },
+  'labour-page': { type: 'string', multiple: true },
+  govhk: { type: 'boolean' },
+  'source-priority': { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  lang: { type: 'string' },
+  columns: { type: 'string' },
+  'statutory-only': { type: 'boolean' },
+  entity: { type: 'string' },
+  region: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  paper: { type: 'string' },
+  browser: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// { command, args (positionals after the command), options, dirs }
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  return { command, args, options: values, dirs: resolveDirs(values) };
+}
+
+export function resolveDirs(options = {}) {
+  const dataDir = path.resolve(options['data-dir'] || path.join(ROOT_DIR, 'data'));
+  const inputDirs = options['input-dir']?.length
+    ? options['input-dir'].map(d => path.resolve(d))
+    : [path.join(ROOT_DIR, 'data'), path.join(ROOT_DIR, 'inputs')];
+  return {
+    dataDir,
+    inputDirs,
+    reportsDir: path.resolve(options['reports-dir'] || path.join(ROOT_DIR, 'reports')),
+    overlaysFile: path.resolve(options.overlays || path.join(ROOT_DIR, 'data', 'company_overlays.json')),
+  };
+}
+
+// --source-priority local,1823,govhk → ['local', '1823', 'govhk'] (undefined: the default).
+export function sourcePriority(options) {
+  return options['source-priority']?.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// --from / --to as numbers, with the given defaults.
+export function yearRange(options, from, to) {
+  const start = Number(options.from || from);
+  const end = Number(options.to || to);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+    throw new Error(`Invalid year range: ${options.from || from}–${options.to || to}`);
+  }
+  return { from: start, to: end };
+}
@@ -0,0 +1,104 @@
+// `hk-holidays fetch`: download the 1823 public holiday feeds into the first
+// input directory as dated snapshots (YYYYMMDD-HHMM-en.json / -tc.json, the
+// naming the existing snapshots in data/ use).  A feed identical to the
+// newest snapshot of its language is not saved again.  --govhk also saves the
+// GovHK year pages for --from…--to as govhk_<year>_<lang>.html.
+
+import dns from 'node:dns';
+import fs from 'node:fs';
+import path from 'node:path';
+import { yearRange } from './config.js';
+
+// Prefer IPv4 (1823 blocks IPv6 in some environments)
+try { dns.setDefaultResultOrder('ipv4first'); } catch {}
+
+const FEEDS = {
+  en: ['https://www.1823.gov.hk/common/ical/en.json'],
+  tc: ['https://www.1823.gov.hk/common/ical/tc.json', 'https://www.1823.gov.hk/common/ical/zh.json'],
+};
+const GOVHK = (lang, year) => `https://www.gov.hk/${lang}/about/abouthk/holiday/${year}.htm`;
+const HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari',
+  'Accept-Language': 'zh-HK,zh-TW,zh,en;q=0.9',
+};
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Text of `url`, or '' after `tries` failed attempts.
+async function fetchText(url, tries = 3, timeoutMs = 15000) {
+  const { default: fetch } = await import('node-fetch');
+  for (let attempt = 1; attempt <= tries; attempt++) {
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, { headers: HEADERS, signal: ac.signal, redirect: 'follow' });
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      return await res.text();
+    } catch (e) {
+      console.warn(`Fetch ${attempt}/${tries} failed: ${url} — ${e?.name === 'AbortError' ? 'timeout' : e?.message || e}`);
+      if (attempt < tries) await sleep(500 * attempt);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+  return '';
+}
+
+// 'YYYYMMDD-HHMM' in Hong Kong time.
+function stamp(now = new Date()) {
+  const hk = new Date(now.getTime() + 8 * 3600000).toISOString();
+  return `${hk.slice(0, 10).replace(/-/g, '')}-${hk.slice(11, 16).replace(':', '')}`;
+}
+
+function latestSnapshot(dir, lang) {
+  const re = new RegExp(`^\\d{8}-\\d{4}-${lang}\\.json$`);
+  const name = fs.readdirSync(dir).filter(f => re.test(f)).sort().pop();
+  return name ? fs.readFileSync(path.join(dir, name), 'utf8') : null;
+}
+
+// Returns 0, or 1 when no feed could be downloaded.
+export async function fetchFeeds({ options, dirs }) {
+  const dir = dirs.inputDirs[0];
+  fs.mkdirSync(dir, { recursive: true });
+  let saved = 0;
+  let failed = 0;
+
+  for (const [lang, urls] of Object.entries(FEEDS)) {
+    let text = '';
+    for (const url of urls) {
+      text = await fetchText(url);
+      if (text) break;
+    }
+    try {
+      JSON.parse(text);
+    } catch {
+      console.warn(`1823 ${lang}: no usable feed downloaded`);
+      failed++;
+      continue;
+    }
+    if (latestSnapshot(dir, lang) === text) {
+      console.log(`1823 ${lang}: unchanged since the last snapshot`);
+      continue;
+    }
+    const name = `${stamp()}-${lang}.json`;
+    fs.writeFileSync(path.join(dir, name), text, 'utf8');
+    console.log(`1823 ${lang}: saved ${path.join(dir, name)}`);
+    saved++;
+  }
+
+  if (options.govhk) {
+    const { from, to } = yearRange(options, new Date().getFullYear(), new Date().getFullYear());
+    for (let y = from; y <= to; y++) {
+      for (const lang of ['en', 'tc']) {
+        const html = await fetchText(GOVHK(lang, y));
+        if (!html) { failed++; continue; }
+        fs.writeFileSync(path.join(dir, `govhk_${y}_${lang}.html`), html, 'utf8');
+        console.log(`GovHK ${y} ${lang}: saved`);
+        saved++;
+      }
+    }
+  }
+
+  console.log(`Done. ${saved} file(s) saved, ${failed} download(s) failed.`);
+  return failed && !saved ? 1 : 0;
+}
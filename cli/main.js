@@ -0,0 +1,73 @@
+// Command dispatch for bin/hk-holidays.js and the older script entry points.
+
+import { build } from './build.js';
+import { diff, digest, exportData, query, validate } from './commands.js';
+import { parseCommandLine } from './config.js';
+import { fetchFeeds } from './fetch.js';
+import { renderPdf } from './pdf.js';
+import { serve } from './server.js';
+
+const COMMANDS = {
+  fetch: fetchFeeds,
+  build,
+  validate,
+  diff,
+  export: exportData,
+  query,
+  digest,
+  serve,
+  pdf: renderPdf,
+};
+
+const USAGE = `Usage: hk-holidays <command> [options]
+
+Commands:
+  fetch      download the 1823 holiday feeds as dated snapshots (--govhk: GovHK year pages too)
+  build      build data/company_holidays_* from the sources (--from, --to, --strict, --labour-page,
+             --source-priority local,1823,govhk)
+  validate   check a holiday file against the schema and data-quality rules (--region)
+  diff       compare two snapshots, or a snapshot and company_holidays_ALL.json
+  export     write the dataset as --format json, csv, xlsx or ics (--lang, --entity, --region, --from,
+             --to, --statutory-only, --columns, --out)
+  query      show the holiday and business-day status of a date (--entity, --region)
+  digest     upcoming holidays from [date] for --days N or --weeks N (default 14 days) as --format md,
+             txt, rss, atom or json, with long weekends (--lang both|en|zh, --entity, --region, --out)
+  serve      HTTP API and the calendar pages on --port (default 8080) and --host (default 127.0.0.1)
+  pdf        one-page year calendar as PDF via headless Chrome ([year] --paper a4|a3, --lang en|zh-HK|zh-CN,
+             --entity, --region hk,mo,cn, --out, --browser)
+
+Directories:
+  --data-dir <dir>     outputs (default data/)
+  --input-dir <dir>    sources, repeatable (default data/ and inputs/)
+  --reports-dir <dir>  reports (default reports/)
+  --overlays <file>    company overlays (default data/company_overlays.json)
+
+Regions:
+  --region hk|mo|cn    Hong Kong (default), Macau or Mainland China; build writes the
+                       other regions to data/regions/
+`;
+
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (parsed.options.help || !parsed.command) {
+    console.log(USAGE);
+    return 0;
+  }
+  const run = COMMANDS[parsed.command];
+  if (!run) {
+    console.error(`Unknown command "${parsed.command}"\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    return await run(parsed);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+}
@@ -0,0 +1,104 @@
+// `hk-holidays pdf`: the printable one-page year calendar (index.html?print=…)
+// rendered to PDF by a headless Chrome / Chromium / Edge.
+//
+// The pages are served by createHolidayServer() on a free local port for the
+// duration of the render, so the PDF shows exactly what printing the page in
+// a browser would.  The browser is --browser, $CHROME_PATH, or the first of
+// the usual executable names found on PATH.
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeLanguage } from '../lib/i18n.js';
+import { normalizeRegion, REGION_IDS } from '../lib/regions.js';
+import { createHolidayServer } from './server.js';
+
+const PAPERS = ['a4', 'a3'];
+const BROWSERS = [
+  'google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'microsoft-edge', 'chrome', 'msedge',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+];
+const RENDER_TIMEOUT_MS = 60000;
+
+function findBrowser(explicit) {
+  const wanted = explicit || process.env.CHROME_PATH;
+  if (wanted) {
+    if (!fs.existsSync(wanted)) throw new Error(`Browser not found: ${wanted}`);
+    return wanted;
+  }
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const exts = process.platform === 'win32' ? ['.exe', ''] : [''];
+  for (const name of BROWSERS) {
+    const candidates = path.isAbsolute(name) ? [name] : dirs.flatMap(d => exts.map(e => path.join(d, name + e)));
+    const found = candidates.find(f => fs.existsSync(f));
+    if (found) return found;
+  }
+  throw new Error('No Chrome, Chromium or Edge found; pass --browser <path> or set CHROME_PATH');
+}
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function run(file, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const timer = setTimeout(() => child.kill(), RENDER_TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${path.basename(file)} ${signal ? `killed (${signal})` : `exited with ${code}`}${stderr ? `:\n${stderr.trim()}` : ''}`));
+    });
+  });
+}
+
+// hk-holidays pdf [year] [--paper a4|a3] [--lang en|zh-HK|zh-CN] [--entity id] [--region hk,mo,cn]
+//   [--out file] [--browser path]
+export async function renderPdf({ args, options, dirs }) {
+  const year = args[0] || String(new Date().getFullYear());
+  if (!/^\d{4}$/.test(year)) throw new Error(`Invalid year: ${year}`);
+  const paper = (options.paper || 'a4').toLowerCase();
+  if (!PAPERS.includes(paper)) throw new Error(`Unknown paper "${options.paper}"; use ${PAPERS.join(' or ')}`);
+  const lang = options.lang ? normalizeLanguage(options.lang) : 'en';
+  if (!lang) throw new Error(`Unknown lang "${options.lang}"; use en, zh-HK or zh-CN`);
+  const regions = options.region ? options.region.split(',').map(r => r.trim()) : [];
+  const unknown = regions.find(r => !normalizeRegion(r));
+  if (unknown) throw new Error(`Unknown region "${unknown}"; use ${REGION_IDS.join(', ')}`);
+  const out = path.resolve(options.out || `hk-holidays_${year}_${paper}.pdf`);
+  const browser = findBrowser(options.browser);
+
+  const params = new URLSearchParams({
+    print: paper,
+    year,
+    lang,
+    ...(options.entity ? { entity: options.entity } : {}),
+    ...(regions.length ? { regions: regions.map(normalizeRegion).join(',') } : {}),
+  });
+  const server = createHolidayServer(dirs);
+  const port = await listen(server);
+  try {
+    await run(browser, [
+      '--headless=new',
+      '--disable-gpu',
+      ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+      '--no-pdf-header-footer',
+      // Lets the page finish its fetches and first render before printing.
+      '--virtual-time-budget=15000',
+      `--print-to-pdf=${out}`,
+      `http://127.0.0.1:${port}/index.html?${params}`,
+    ]);
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+  if (!fs.existsSync(out)) throw new Error(`${path.basename(browser)} did not write ${out}`);
+  console.log(`Wrote ${out}`);
+  return 0;
+}
@@ -0,0 +1,280 @@
+// `hk-holidays serve`: a small HTTP server over the built dataset, for tools
+// that want holiday data without copying JSON around.
+//
+//   GET /holidays?year=2025&lang=zh&entity=hk-office   JSON list (also from=&to=)
+//   GET /holidays?year=2026&region=cn                   Macau (mo) or Mainland (cn) dataset; every route takes it
+//   GET /holidays.ics?year=2025&lang=zh                 same selection as iCalendar
+//   GET /holidays.csv?year=2025&columns=date,name_en    same selection as CSV (UTF-8 BOM)
+//   GET /holidays/2025-10-01                            one day (404 when not a holiday)
+//   GET /business-days?from=2025-12-01&to=2025-12-31    business days in (from, to]
+//   GET /next-holiday?after=2025-10-01&lang=zh
+//   GET /leave-plan?year=2025&budget=10                 leave days that make the longest breaks
+//   GET /digest?days=14&format=rss&lang=both           upcoming holidays (lib/digest.js); also from=,
+//                                                       weeks=, format=md|txt|atom|json
+//
+// Every API response carries an ETag and Cache-Control: no-cache, so clients
+// revalidate cheaply (304).  company_holidays_ALL.json is re-read when its
+// modification time changes, so a rebuild shows up without a restart.  The
+// pages (index.html, holiday-list.html, entitlement.html), lib/, vendor/,
+// data/ and the service worker are served as static files so the pages'
+// fetch('data/…') works from the same origin and the calendar can be
+// installed for offline use.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { createBusinessCalendar } from '../lib/business-days.js';
+import { toCSV } from '../lib/csv-export.js';
+import { toISODate } from '../lib/dates.js';
+import { DIGEST_FORMATS, formatDigest, upcomingHolidays } from '../lib/digest.js';
+import { toICS } from '../lib/ics-export.js';
+import { planLeave } from '../lib/leave-planner.js';
+import { createHolidayCalendar } from '../lib/query.js';
+import { datasetFile, readJSON } from './build.js';
+import { ROOT_DIR } from './config.js';
+
+export const DEFAULT_PORT = 8080;
+const DIGEST_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+const STATIC_DIRS = ['lib', 'schema', 'vendor', 'icons'];
+const STATIC_FILES = ['index.html', 'holiday-list.html', 'entitlement.html', 'update-holidays.html', 'manifest.webmanifest', 'sw.js'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Datasets by file, re-read when the file's mtime changes.
+function datasetCache() {
+  const cache = new Map();
+  return file => {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      return null;
+    }
+    const hit = cache.get(file);
+    if (hit && hit.mtimeMs === stat.mtimeMs) return hit;
+    const records = readJSON(file);
+    const entry = {
+      mtimeMs: stat.mtimeMs,
+      calendar: createHolidayCalendar(records),
+      business: createBusinessCalendar(records),
+    };
+    cache.set(file, entry);
+    if (hit) console.log(`Reloaded ${path.basename(file)} (${entry.calendar.records.length} records)`);
+    return entry;
+  };
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function send(req, res, status, body, type) {
+  const etag = etagOf(body);
+  const headers = {
+    'Content-Type': type,
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+    ETag: etag,
+  };
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJSON(req, res, status, data) {
+  send(req, res, status, JSON.stringify(data, null, 2), CONTENT_TYPES['.json']);
+}
+
+function dateParam(params, name, { required = false } = {}) {
+  const raw = params.get(name);
+  if (!raw) {
+    if (required) throw new HttpError(400, `Missing ${name}`);
+    return undefined;
+  }
+  const iso = toISODate(raw);
+  if (!iso) throw new HttpError(400, `Invalid ${name}: ${raw}`);
+  return iso;
+}
+
+function langParam(params) {
+  const lang = params.get('lang');
+  if (lang && !['en', 'zh'].includes(lang)) throw new HttpError(400, `Unknown lang "${lang}"; use en or zh`);
+  return lang || undefined;
+}
+
+// year=, or from= / to=, or everything.
+function selectHolidays(calendar, params, lang) {
+  const year = params.get('year');
+  if (year) {
+    if (!/^\d{4}$/.test(year)) throw new HttpError(400, `Invalid year: ${year}`);
+    return calendar.holidaysInYear(year, lang);
+  }
+  const from = dateParam(params, 'from');
+  const to = dateParam(params, 'to');
+  return calendar.holidaysBetween(from || '1900-01-01', to || '9999-12-31', lang);
+}
+
+function businessOptions(params) {
+  const weekend = params.get('weekend');
+  return {
+    ...(weekend ? { weekend: /^[\d,]+$/.test(weekend) ? weekend.split(',').map(Number) : weekend } : {}),
+    ...(params.get('statutoryOnly') === 'true' ? { statutoryOnly: true } : {}),
+    ...(params.get('halfDays') === 'off' ? { halfDays: 'off' } : {}),
+  };
+}
+
+function serveStatic(req, res, dirs, pathname) {
+  const rel = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).replace(/^\/+/, '');
+  const [top] = rel.split('/');
+  let file;
+  if (top === 'data') file = path.join(dirs.dataDir, rel.slice('data/'.length));
+  else if (STATIC_FILES.includes(rel) || STATIC_DIRS.includes(top)) file = path.join(ROOT_DIR, rel);
+  const base = top === 'data' ? dirs.dataDir : ROOT_DIR;
+  if (!file || path.relative(base, file).startsWith('..') || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, `Not found: ${pathname}`);
+  }
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  send(req, res, 200, fs.readFileSync(file), type);
+}
+
+export function createHolidayServer(dirs) {
+  const load = datasetCache();
+  const dataset = params => {
+    const entity = params.get('entity');
+    if (entity && !/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(entity)) throw new HttpError(400, `Invalid entity: ${entity}`);
+    const data = load(datasetFile(dirs, { entity, region: params.get('region') }));
+    if (!data) throw new HttpError(entity ? 404 : 503, entity ? `Unknown entity: ${entity}` : 'Dataset not built yet; run "hk-holidays build"');
+    return data;
+  };
+
+  const routes = {
+    '/holidays': (params) => {
+      const lang = langParam(params);
+      return { json: selectHolidays(dataset(params).calendar, params, lang) };
+    },
+    '/holidays.ics': (params) => {
+      const data = dataset(params);
+      const list = selectHolidays(data.calendar, params);
+      // DTSTAMP from the file, not the clock, so the ETag only changes with the data.
+      const dtstamp = new Date(data.mtimeMs);
+      return { body: toICS(list, { lang: langParam(params) || 'en', dtstamp }), type: CONTENT_TYPES['.ics'] };
+    },
+    '/holidays.csv': (params) => {
+      const list = selectHolidays(dataset(params).calendar, params);
+      return { body: toCSV(list, { columns: params.get('columns') || undefined, lang: langParam(params), bom: true }), type: CONTENT_TYPES['.csv'] };
+    },
+    '/business-days': (params) => {
+      const { calendar, business } = dataset(params);
+      const from = dateParam(params, 'from', { required: true });
+      const to = dateParam(params, 'to', { required: true });
+      const options = businessOptions(params);
+      return {
+        json: {
+          from,
+          to,
+          businessDays: business.businessDaysBetween(from, to, options),
+          holidays: calendar.holidaysBetween(from, to, langParam(params)),
+        },
+      };
+    },
+    '/leave-plan': (params) => {
+      const { calendar } = dataset(params);
+      const year = params.get('year');
+      if (!/^\d{4}$/.test(year || '')) throw new HttpError(400, `Invalid year: ${year}`);
+      const budget = params.get('budget');
+      if (!/^\d+$/.test(budget || '')) throw new HttpError(400, `Invalid budget: ${budget}`);
+      return { json: planLeave(calendar.records, { year: Number(year), budget: Number(budget), ...businessOptions(params) }) };
+    },
+    '/digest': (params) => {
+      const format = params.get('format') || 'rss';
+      if (!DIGEST_FORMATS.includes(format)) throw new HttpError(400, `Unknown format "${format}"; use ${DIGEST_FORMATS.join(', ')}`);
+      for (const name of ['days', 'weeks']) {
+        const value = params.get(name);
+        if (value !== null && !(/^\d+$/.test(value) && Number(value) > 0)) throw new HttpError(400, `Invalid ${name}: ${value}`);
+      }
+      const weeks = params.get('weeks');
+      const days = weeks ? Number(weeks) * 7 : Number(params.get('days') || 14);
+      const digest = upcomingHolidays(dataset(params).calendar.records, { from: dateParam(params, 'from'), days, ...businessOptions(params) });
+      return { body: formatDigest(digest, format, { lang: params.get('lang') || 'both' }), type: DIGEST_TYPES[format] };
+    },
+    '/next-holiday': (params) => {
+      const next = dataset(params).calendar.nextHoliday(dateParam(params, 'after'), langParam(params));
+      if (!next) throw new HttpError(404, 'No later holiday in the dataset');
+      return { json: next };
+    },
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, `${req.method} not allowed`);
+      const day = url.pathname.match(/^\/holidays\/([^/]+)$/);
+      let result;
+      if (routes[url.pathname]) {
+        result = routes[url.pathname](params);
+      } else if (day) {
+        const date = toISODate(day[1]);
+        if (!date) throw new HttpError(400, `Invalid date: ${day[1]}`);
+        const { calendar, business } = dataset(params);
+        const holiday = calendar.getHoliday(date, langParam(params));
+        const status = holiday ? 200 : 404;
+        sendJSON(req, res, status, { date, isHoliday: Boolean(holiday), businessDay: business.isBusinessDay(date, businessOptions(params)), holiday });
+        return;
+      } else {
+        serveStatic(req, res, dirs, url.pathname);
+        return;
+      }
+      if (result.json !== undefined) sendJSON(req, res, 200, result.json);
+      else send(req, res, 200, result.body, result.type);
+    } catch (err) {
+      const status = err.status || ([TypeError, RangeError, URIError].some(E => err instanceof E) ? 400 : 500);
+      if (status === 500) console.error(err);
+      sendJSON(req, res, status, { error: err.message });
+    }
+  });
+}
+
+// hk-holidays serve [--port 8080] [--host 127.0.0.1]
+export function serve({ options, dirs }) {
+  const port = Number(options.port || DEFAULT_PORT);
+  const host = options.host || '127.0.0.1';
+  const server = createHolidayServer(dirs);
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, host, () => {
+      console.log(`Serving ${path.join(dirs.dataDir, 'company_holidays_ALL.json')} on http://${host}:${port}/`);
+    });
+    const stop = () => server.close(() => resolve(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
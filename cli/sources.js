@@ -0,0 +1,96 @@
+// Reading source data from the input directories:
+//   • 1823 calendars — any .json / .ics file whose name marks its language
+//     ("en", or "tc" / "zh"), e.g. 20230602-0945-en.json or 1823_tc.ics
+//   • saved GovHK year pages — govhk_<year>_en.html / govhk_<year>_tc.html
+//   • local corrections — any .json holding holiday records
+//     ([{ date, name_en, name_zh }]), applied as overrides; Macau and
+//     Mainland ones (a `region` field, or a mo_ / cn_ file name) feed those
+//     regions instead of Hong Kong
+//   • saved Labour Department pages — labour_<year>.html, or --labour-page
+// Generated company_* files are skipped, so the data directory can be an
+// input directory as well.  Parsing each file is lib/sources.js (shared with
+// update-holidays.html); how the sources are combined is lib/merge.js.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { mergeSources } from '../lib/merge.js';
+import { fileSource, GOVHK_PAGE, normalize, parseISODate, SOURCE_FILE, splitByRegion } from '../lib/sources.js';
+
+function listFiles(dirs, test) {
+  return dirs
+    .filter(d => fs.existsSync(d))
+    .flatMap(d => fs.readdirSync(d).filter(test).map(f => path.join(d, f)));
+}
+
+// Table rows of a saved page, or its list items when it has no table.
+async function htmlRows(html) {
+  const { load } = await import('cheerio');
+  const $ = load(html);
+  const rows = [];
+  $('table tr').each((_, tr) => rows.push($(tr).text()));
+  if (!rows.length) $('li').each((_, li) => rows.push($(li).text()));
+  return rows;
+}
+
+// Paths under the working directory are reported relative to it.
+function sourceId(file) {
+  const rel = path.relative(process.cwd(), file);
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel : path.resolve(file);
+}
+
+// Every source in the input directories as lib/merge.js sources, limited to
+// `range` ({ from, to } years).
+export async function readSources(inputDirs, range) {
+  const sources = [];
+  const read = file => ({ id: sourceId(file), name: path.basename(file), text: fs.readFileSync(file, 'utf8') });
+
+  for (const file of listFiles(inputDirs, f => GOVHK_PAGE.test(f))) {
+    const source = await fileSource(read(file), range, { htmlRows });
+    if (source) sources.push(source);
+  }
+
+  for (const file of listFiles(inputDirs, f => SOURCE_FILE.test(f) && !f.startsWith('company_'))) {
+    try {
+      const source = await fileSource(read(file), range);
+      if (source) sources.push(source);
+    } catch (e) {
+      console.warn(`Failed to read ${path.basename(file)}: ${e.message}`);
+    }
+  }
+  return sources;
+}
+
+// Official holidays within `range` per region, each merged by source
+// priority: Map(region → lib/merge.js result ({ records, provenance,
+// conflicts, sources })).  Hong Kong is always present.
+export async function readOfficialHolidays(inputDirs, range, { priority } = {}) {
+  const byRegion = splitByRegion(await readSources(inputDirs, range));
+  return new Map([...byRegion].map(([region, sources]) => [region, mergeSources(sources, { priority })]));
+}
+
+// Saved Labour Department "statutory holidays" pages, as an optional check on
+// the offline derivation: labour_<year>.html in an input directory, or
+// explicit files (the file name must contain the year).  Returns
+// { dates: { year: Set }, files: { year: source id } }.
+export async function readLabourPages(inputDirs, extraFiles = []) {
+  const files = [...extraFiles, ...listFiles(inputDirs, f => /^labour_\d{4}\.html?$/i.test(f))];
+  const out = {};
+  const ids = {};
+  if (!files.length) return { dates: out, files: ids };
+
+  const { load } = await import('cheerio');
+  for (const file of files) {
+    const year = Number(path.basename(file).match(/(\d{4})/)?.[1]);
+    if (!year) throw new Error(`Cannot tell the year of labour page ${file}; put it in the file name`);
+    const $ = load(fs.readFileSync(file, 'utf8'));
+    const dates = new Set();
+    $('li, td, tr, p').each((_, el) => {
+      const iso = parseISODate(normalize($(el).text()), year);
+      if (iso.startsWith(`${year}-`)) dates.add(iso);
+    });
+    out[year] = dates;
+    ids[year] = sourceId(file);
+    console.log(`${year}: ${dates.size} statutory dates from ${path.basename(file)}`);
+  }
+  return { dates: out, files: ids };
+}
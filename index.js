@@ -0,0 +1,71 @@
+// hk-holidays — package entry.
+// Loads data/company_holidays_ALL.json once and exposes lookups over it:
+//
+//   import { isHoliday, getHoliday, nextHoliday } from 'hk-holidays';
+//   isHoliday('2025-12-26');            // true
+//   getHoliday('2025-10-01', 'zh').name // '國慶日'
+//   addBusinessDays('2025-12-24', 2)    // '2025-12-30'
+//
+// Use createHolidayCalendar(records) to run the same lookups on another list,
+// e.g. regionCalendar('CN') for the Mainland dataset (lib/regions.js).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createHolidayCalendar } from './lib/query.js';
+import { createBusinessCalendar } from './lib/business-days.js';
+import { normalizeRegion, regionFile } from './lib/regions.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_FILE = path.join(__dirname, 'data', 'company_holidays_ALL.json');
+
+const readData = file => JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+const calendar = createHolidayCalendar(readData(DATA_FILE));
+
+export const holidays = calendar.records;
+export const years = calendar.years;
+export const {
+  isHoliday,
+  getHoliday,
+  holidaysBetween,
+  nextHoliday,
+  holidaysInYear,
+} = calendar;
+
+// Business-day helpers default to a Saturday+Sunday weekend; pass
+// { weekend: 'sun' } or { statutoryOnly: true } as the last argument to change.
+export const {
+  isBusinessDay,
+  nextBusinessDay,
+  previousBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+} = createBusinessCalendar(holidays);
+
+// Holiday and business-day lookups for 'HK', 'MO' or 'CN' (aliases such as
+// 'macau' or 'mainland' work too): { ...createHolidayCalendar, business }.
+export function regionCalendar(region) {
+  const id = normalizeRegion(region);
+  if (!id) throw new TypeError(`Unknown region: ${region}`);
+  const records = id === 'HK' ? holidays : readData(path.join(__dirname, 'data', regionFile(id)));
+  return { ...createHolidayCalendar(records), business: createBusinessCalendar(records) };
+}
+
+export { createHolidayCalendar, normalizeRecords } from './lib/query.js';
+export { createBusinessCalendar, WEEKEND_PRESETS } from './lib/business-days.js';
+export { generateHolidays, generateHolidayRange, easterSunday } from './lib/generator.js';
+export { HOLIDAY_TYPES, CLOSURE_REASONS, holidayType, holidayKind, typeLabel } from './lib/types.js';
+export { STATUTORY_SCHEDULE, statutoryKeys, statutoryCount, statutoryDates, markStatutory } from './lib/statutory.js';
+export { holidayIdentity, HOLIDAY_KEYS } from './lib/identity.js';
+export { lunarDate, lunarNewYear, lunarToSolar, solarTerms, solarTermDate } from './lib/lunar.js';
+export { validateHolidays, validationMarkdown, schemaErrors } from './lib/validate.js';
+export { diffHolidays, diffMarkdown, snapshotRecords } from './lib/diff.js';
+export { mergeSources, rankSources, conflictMarkdown, DEFAULT_SOURCE_PRIORITY } from './lib/merge.js';
+export { planLeave, leaveBreaks } from './lib/leave-planner.js';
+export { parseTeamLeave, teamAway } from './lib/team-leave.js';
+export { upcomingHolidays, formatDigest, digestMarkdown, digestText, digestRSS, digestAtom, digestWebhook, DIGEST_FORMATS } from './lib/digest.js';
+export { holidayEntitlement, entitlementSummary, annualLeaveDays, HOLIDAY_PAY_MONTHS } from './lib/entitlement.js';
+export { REGIONS, REGION_IDS, DEFAULT_REGION, normalizeRegion, regionOf } from './lib/regions.js';
+export { toCSV, filterHolidays, EXPORT_COLUMNS, DEFAULT_COLUMNS } from './lib/csv-export.js';
+export { toXLSX } from './lib/xlsx-export.js';
+export { toISODate } from './lib/dates.js';
@@ -0,0 +1,121 @@
+// Business-day arithmetic on top of a holiday list.  A business day is any day
+// that is neither a weekend day nor a holiday.  Both rules are configurable:
+//
+//   weekend:       [0, 6] (default, Sat+Sun), [0] / 'sun' for Sunday-only,
+//                  or any list of weekday numbers (0 = Sunday).
+//   statutoryOnly: only count records with statutory: true as holidays, for
+//                  Labour Ordinance style calculations.
+//   halfDays:      'work' (default) or 'off'.  Half days, and closures with a
+//                  `cutoff` that start mid-day, are business days by default:
+//                  the office is open in the morning.  'off' counts them as
+//                  whole days off.  Closures without a cutoff are always off.
+//
+// Records of type 'workday' (Mainland adjusted working days, lib/types.js) make
+// their date a business day even when it falls on the weekend.
+//
+// Options given to createBusinessCalendar are defaults; every function also
+// takes an options object as its last argument to override them per call.
+
+import { addDays, toISODate, weekday } from './dates.js';
+import { normalizeRecords } from './query.js';
+import { holidayType } from './types.js';
+
+export const WEEKEND_PRESETS = {
+  'sat-sun': [0, 6],
+  sun: [0],
+  none: [],
+};
+
+// Safety net for loops that search for the next business day.
+const MAX_SCAN_DAYS = 366 * 2;
+
+// A preset name or weekday numbers → weekday numbers (Saturday+Sunday by default).
+export function resolveWeekend(weekend) {
+  if (weekend === undefined || weekend === null) return WEEKEND_PRESETS['sat-sun'];
+  if (typeof weekend === 'string') {
+    const preset = WEEKEND_PRESETS[weekend];
+    if (!preset) throw new TypeError(`Unknown weekend preset: ${weekend}`);
+    return preset;
+  }
+  if (!Array.isArray(weekend) || weekend.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new TypeError('weekend must be a preset name or a list of weekday numbers 0-6');
+  }
+  if (weekend.length === 7) throw new RangeError('weekend cannot cover every day of the week');
+  return weekend;
+}
+
+const HALF_DAYS = ['work', 'off'];
+
+const isPartDay = h => holidayType(h) === 'half_day' || (holidayType(h) === 'closure' && Boolean(h.cutoff));
+
+function requireDate(input, label) {
+  const iso = toISODate(input);
+  if (!iso) throw new TypeError(`Invalid ${label}: ${input}`);
+  return iso;
+}
+
+export function createBusinessCalendar(data, defaults = {}) {
+  const all = normalizeRecords(data);
+  const records = all.filter(h => holidayType(h) !== 'workday');
+  const allDates = new Set(records.map(h => h.date));
+  const wholeDates = new Set(records.filter(h => !isPartDay(h)).map(h => h.date));
+  const statutoryDates = new Set(records.filter(h => h.statutory).map(h => h.date));
+  const workdays = new Set(all.filter(h => holidayType(h) === 'workday').map(h => h.date));
+
+  const rules = options => {
+    const opts = { ...defaults, ...options };
+    const halfDays = opts.halfDays ?? 'work';
+    if (!HALF_DAYS.includes(halfDays)) throw new TypeError(`halfDays must be one of ${HALF_DAYS.join(', ')}, got ${halfDays}`);
+    return {
+      weekend: new Set(resolveWeekend(opts.weekend)),
+      holidays: opts.statutoryOnly ? statutoryDates : halfDays === 'off' ? allDates : wholeDates,
+    };
+  };
+
+  const isOff = (iso, r) => (r.weekend.has(weekday(iso)) && !workdays.has(iso)) || r.holidays.has(iso);
+
+  const step = (iso, dir, r) => {
+    let d = iso;
+    for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+      d = addDays(d, dir);
+      if (!isOff(d, r)) return d;
+    }
+    throw new RangeError(`No business day within ${MAX_SCAN_DAYS} days of ${iso}`);
+  };
+
+  const isBusinessDay = (date, options) => !isOff(requireDate(date, 'date'), rules(options));
+
+  const nextBusinessDay = (date, options) => step(requireDate(date, 'date'), 1, rules(options));
+
+  const previousBusinessDay = (date, options) => step(requireDate(date, 'date'), -1, rules(options));
+
+  // n > 0 moves forward, n < 0 backward; n = 0 returns the date unchanged.
+  const addBusinessDays = (date, n, options) => {
+    if (!Number.isInteger(n)) throw new TypeError(`n must be an integer, got ${n}`);
+    const r = rules(options);
+    let d = requireDate(date, 'date');
+    for (let i = 0; i < Math.abs(n); i++) d = step(d, Math.sign(n), r);
+    return d;
+  };
+
+  // Business days in (a, b]: the n for which addBusinessDays(a, n) lands on b
+  // when b is a business day.  Negative when b is before a.
+  const businessDaysBetween = (a, b, options) => {
+    const r = rules(options);
+    let from = requireDate(a, 'from date');
+    let to = requireDate(b, 'to date');
+    const sign = from > to ? -1 : 1;
+    if (sign < 0) [from, to] = [to, from];
+    let count = 0;
+    for (let d = addDays(from, 1); d <= to; d = addDays(d, 1)) if (!isOff(d, r)) count++;
+    return sign * count;
+  };
+
+  return {
+    isBusinessDay,
+    nextBusinessDay,
+    previousBusinessDay,
+    addBusinessDays,
+    businessDaysBetween,
+  };
+}
@@ -0,0 +1,70 @@
+// Spreadsheet export of holiday records: the column set and filters shared by
+// CSV (here) and XLSX (lib/xlsx-export.js).  CSV follows RFC 4180 — CRLF line
+// endings, fields quoted only when they need it — with an optional UTF-8 BOM
+// so Excel opens Chinese names correctly.
+
+import { weekday } from './dates.js';
+import { regionOf } from './regions.js';
+import { holidayType, typeLabel } from './types.js';
+
+const CRLF = '\r\n';
+const WEEKDAYS_EN = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAYS_ZH = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+const yes = v => (v ? 'TRUE' : 'FALSE');
+
+// Column id → header (en / zh) and cell value.
+export const EXPORT_COLUMNS = {
+  date: { en: 'Date', zh: '日期', value: h => h.date },
+  weekday_en: { en: 'Weekday', zh: '星期（英文）', value: h => WEEKDAYS_EN[weekday(h.date)] },
+  weekday_zh: { en: 'Weekday (Chinese)', zh: '星期', value: h => WEEKDAYS_ZH[weekday(h.date)] },
+  name_en: { en: 'English name', zh: '英文名稱', value: h => h.name_en },
+  name_zh: { en: 'Chinese name', zh: '中文名稱', value: h => h.name_zh },
+  type: { en: 'Type', zh: '類別', value: h => holidayType(h) },
+  type_label: { en: 'Type label', zh: '類別說明', value: (h, lang) => typeLabel(h, lang) },
+  general: { en: 'General holiday', zh: '公眾假期', value: h => yes(holidayType(h) === 'general') },
+  statutory: { en: 'Statutory holiday', zh: '法定假日', value: h => yes(h.statutory) },
+  provisional: { en: 'Provisional', zh: '臨時推算', value: h => yes(h.provisional) },
+  source: { en: 'Source', zh: '來源', value: h => h.source },
+  region: { en: 'Region', zh: '地區', value: h => regionOf(h) },
+};
+
+export const DEFAULT_COLUMNS = ['date', 'weekday_en', 'weekday_zh', 'name_en', 'name_zh', 'general', 'statutory', 'source'];
+
+// 'date,name_en' or ['date', 'name_en'] → checked column ids.
+export function exportColumns(columns = DEFAULT_COLUMNS) {
+  const list = typeof columns === 'string' ? columns.split(',').map(c => c.trim()).filter(Boolean) : columns;
+  const unknown = list.filter(c => !EXPORT_COLUMNS[c]);
+  if (unknown.length) throw new TypeError(`Unknown column(s): ${unknown.join(', ')}; use ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+  return list;
+}
+
+// { from, to } years (inclusive, either may be missing) and statutoryOnly.
+export function filterHolidays(records, { from, to, statutoryOnly = false } = {}) {
+  return records.filter(h => {
+    const y = Number(String(h.date).slice(0, 4));
+    if (from && y < Number(from)) return false;
+    if (to && y > Number(to)) return false;
+    return !statutoryOnly || h.statutory;
+  });
+}
+
+// { columns: [ids], header: [...], rows: [[...]] } with headers in `lang`.
+export function exportTable(records, { columns, lang = 'en' } = {}) {
+  const ids = exportColumns(columns);
+  return {
+    columns: ids,
+    header: ids.map(c => EXPORT_COLUMNS[c][lang === 'zh' ? 'zh' : 'en']),
+    rows: records.map(h => ids.map(c => EXPORT_COLUMNS[c].value(h, lang) ?? '')),
+  };
+}
+
+export function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(records, { columns, lang, bom = false } = {}) {
+  const { header, rows } = exportTable(records, { columns, lang });
+  const text = [header, ...rows].map(r => r.map(csvField).join(',')).join(CRLF) + CRLF;
+  return bom ? `\uFEFF${text}` : text;
+}
@@ -0,0 +1,51 @@
+// Merged official holidays (lib/merge.js) → the dataset `hk-holidays build`
+// writes and update-holidays.html offers for download: provisional years
+// past the newest official data, records sorted by date, statutory flags and
+// per-field provenance.  Macau and Mainland datasets (lib/regions.js) are
+// assembled the same way, without statutory flags: those are Hong Kong's
+// Employment Ordinance.
+
+import { generateHolidays } from './generator.js';
+import { markStatutory, statutoryDates } from './statutory.js';
+import { DEFAULT_REGION } from './regions.js';
+
+// { range: { from, to } years, region?, labourDates?: { year: Set }, labourFiles?: { year: id } }
+// → { years, byYear, all, provenance, generated: [{ year, count }],
+//     labourDifferences: [{ year, dates }] }.
+export function assembleHolidays(merged, { range, region = DEFAULT_REGION, labourDates = {}, labourFiles = {} } = {}) {
+  const provenance = { ...merged.provenance };
+  const byYear = {};
+  merged.records.forEach(h => {
+    const y = h.date.slice(0, 4);
+    (byYear[y] = byYear[y] || []).push(h);
+  });
+
+  // Only fill years past the newest official data; gaps before it are more
+  // likely a missing download than a year nobody has published yet.
+  const generated = [];
+  const lastOfficial = Math.max(0, ...Object.keys(byYear).map(Number));
+  for (let y = Math.max(range.from, lastOfficial + 1); y <= range.to; y++) {
+    byYear[y] = generateHolidays(y, { region });
+    byYear[y].forEach(h => { provenance[h.date] = { date: 'lib/generator.js', name_en: 'lib/generator.js', name_zh: 'lib/generator.js' }; });
+    generated.push({ year: y, count: byYear[y].length });
+  }
+
+  // Statutory flags come from the Employment Ordinance list (lib/statutory.js);
+  // a saved labour page, when given, wins for its year.
+  const years = Object.keys(byYear).sort();
+  years.forEach(y => byYear[y].sort((a, b) => a.date.localeCompare(b.date)));
+  const all = years.flatMap(y => byYear[y]);
+  if (region !== DEFAULT_REGION) {
+    all.forEach(h => { h.statutory = false; h.region = region; });
+    return { years, byYear, all, provenance, generated, labourDifferences: [] };
+  }
+  const labourDifferences = [];
+  for (const [y, dates] of Object.entries(labourDates)) {
+    const derived = statutoryDates(all, Number(y));
+    const differ = [...new Set([...dates, ...derived])].filter(d => dates.has(d) !== derived.has(d));
+    if (differ.length) labourDifferences.push({ year: Number(y), dates: differ });
+  }
+  markStatutory(all, { labourDates }).forEach((h, i) => { all[i].statutory = h.statutory; });
+  for (const h of all) provenance[h.date] = { ...provenance[h.date], statutory: labourFiles[h.date.slice(0, 4)] || 'lib/statutory.js' };
+  return { years, byYear, all, provenance, generated, labourDifferences };
+}
@@ -0,0 +1,63 @@
+// Date helpers shared by the library.  Holidays are whole days, so everything
+// here works on 'YYYY-MM-DD' strings and UTC-midnight Date objects to stay clear
+// of local time zone and DST shifts.  No Node-only imports: the browser pages
+// load these modules directly.
+
+const pad = n => String(n).padStart(2, '0');
+
+export function formatISO(d) {
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// Accepts 'YYYY-MM-DD', 'YYYYMMDD', ISO timestamps, Date objects (read in local
+// time, i.e. the calendar day the caller sees) and dayjs-like objects.
+export function toISODate(input) {
+  if (input === undefined || input === null || input === '') return '';
+  if (input instanceof Date) {
+    if (Number.isNaN(input.getTime())) return '';
+    return `${input.getFullYear()}-${pad(input.getMonth() + 1)}-${pad(input.getDate())}`;
+  }
+  if (typeof input === 'object' && typeof input.toDate === 'function') return toISODate(input.toDate());
+  const s = String(input).trim().replace(/T.*$/, '');
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || s.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!m) return '';
+  const iso = `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  return formatISO(parseISO(iso)) === iso ? iso : '';
+}
+
+export function parseISO(iso) {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+export function addDays(iso, n) {
+  const d = parseISO(iso);
+  d.setUTCDate(d.getUTCDate() + n);
+  return formatISO(d);
+}
+
+// Same day n months later, or the month's last day when it is shorter
+// (2024-11-30 + 3 months → 2025-02-28).
+export function addMonths(iso, n) {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return formatISO(new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))));
+}
+
+// Whole days from a to b (negative when b is earlier).
+export function daysBetween(a, b) {
+  return Math.round((parseISO(b) - parseISO(a)) / 86400000);
+}
+
+// 0 = Sunday … 6 = Saturday, matching Date#getDay.
+export function weekday(iso) {
+  return parseISO(iso).getUTCDay();
+}
+
+export function today() {
+  return toISODate(new Date());
+}
+
+export function yearOf(iso) {
+  return parseInt(String(iso).slice(0, 4), 10);
+}
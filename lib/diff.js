@@ -0,0 +1,176 @@
+// Change detection between two holiday lists, typically a dated 1823 snapshot
+// (data/20230602-0945-en.json) against company_holidays_ALL.json, or two
+// snapshots against each other.
+//
+// Records are paired per year by holiday identity (lib/identity.js), so a
+// holiday that changes date shows up as moved rather than as one removal plus
+// one addition:
+//   added    only in the newer list
+//   removed  only in the older list
+//   moved    same holiday, different date (the wording may change as well)
+//   renamed  same date and holiday, different wording
+
+import { calendarEntries, readCalendar } from './ical.js';
+import { holidayIdentity } from './identity.js';
+import { normalizeRecords } from './query.js';
+import { yearOf } from './dates.js';
+
+const LANGS = ['en', 'zh'];
+
+// company_holidays_ALL.json (flat) or an older { year: [...] } build.
+export function isRecordList(data) {
+  const list = Array.isArray(data) ? data : data && !data.vcalendar ? Object.values(data).flat() : [];
+  return list.length > 0 && list.every(h => h && h.date && ('name_en' in h || 'name_zh' in h));
+}
+
+// Holiday records from a snapshot: a record list (company_holidays_*.json),
+// or an 1823 jCal / ICS feed whose summaries are in `lang`.
+export function snapshotRecords(input, { lang = 'en', range } = {}) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim();
+    data = /^BEGIN:VCALENDAR/i.test(text) ? text : JSON.parse(text || 'null');
+  }
+  if (isRecordList(data)) return normalizeRecords(data);
+  return calendarEntries(readCalendar(data), range)
+    .map(e => ({ date: e.date, [`name_${lang}`]: String(e.summary || '').trim() }));
+}
+
+// Several single-language snapshots (an en and a tc file) as one list.
+export function mergeSnapshots(lists) {
+  const map = new Map();
+  for (const h of lists.flat()) map.set(h.date, { ...map.get(h.date), ...h });
+  return [...map.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function clean(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim();
+}
+
+function pick(h, langs) {
+  const out = { date: h.date };
+  for (const l of langs) out[`name_${l}`] = h[`name_${l}`] || '';
+  return out;
+}
+
+function sameNames(a, b, langs) {
+  return langs.every(l => clean(a[`name_${l}`]) === clean(b[`name_${l}`]));
+}
+
+function byYear(records) {
+  const out = new Map();
+  for (const h of records) {
+    const y = yearOf(h.date);
+    if (!out.has(y)) out.set(y, []);
+    out.get(y).push(h);
+  }
+  return out;
+}
+
+function diffYear(year, before, after, langs) {
+  const key = h => holidayIdentity(h)?.key || null;
+  const left = before.map(h => ({ h, key: key(h) }));
+  const right = after.map(h => ({ h, key: key(h) }));
+  const used = new Set();
+  const take = test => {
+    const r = right.find(x => !used.has(x) && test(x));
+    if (r) used.add(r);
+    return r;
+  };
+
+  const out = { year, added: [], removed: [], moved: [], renamed: [] };
+  const renamed = (a, b) => out.renamed.push({ date: a.date, before: pick(a, langs), after: pick(b, langs) });
+  const pending = [];
+  // Same date, same holiday.
+  for (const l of left) {
+    const r = take(x => x.h.date === l.h.date && x.key === l.key);
+    if (!r) pending.push(l);
+    else if (!sameNames(l.h, r.h, langs)) renamed(l.h, r.h);
+  }
+  // Same holiday, new date; then whatever now sits on the old date.
+  const rest = [];
+  for (const l of pending) {
+    const r = l.key && take(x => x.key === l.key);
+    if (r) out.moved.push({ from: l.h.date, to: r.h.date, before: pick(l.h, langs), after: pick(r.h, langs) });
+    else rest.push(l);
+  }
+  for (const l of rest) {
+    const r = take(x => x.h.date === l.h.date);
+    if (r) renamed(l.h, r.h);
+    else out.removed.push(pick(l.h, langs));
+  }
+  out.added = right.filter(x => !used.has(x)).map(x => pick(x.h, langs));
+  out.changes = out.added.length + out.removed.length + out.moved.length + out.renamed.length;
+  return out;
+}
+
+// Compares two record lists.  Only years present in both are compared (a
+// snapshot covers three years, the dataset many more); names are compared in
+// the languages both sides carry.  Returns { before, after, languages, years:
+// [{ year, added, removed, moved, renamed, changes }], onlyBefore, onlyAfter,
+// changes }.
+export function diffHolidays(before, after, { beforeLabel = 'before', afterLabel = 'after' } = {}) {
+  const left = normalizeRecords(before);
+  const right = normalizeRecords(after);
+  const has = (list, l) => list.some(h => h[`name_${l}`]);
+  const langs = LANGS.filter(l => has(left, l) && has(right, l));
+  const a = byYear(left);
+  const b = byYear(right);
+
+  const years = [...a.keys()].filter(y => b.has(y)).sort((x, y) => x - y)
+    .map(y => diffYear(y, a.get(y), b.get(y), langs));
+  return {
+    before: beforeLabel,
+    after: afterLabel,
+    languages: langs,
+    years,
+    onlyBefore: [...a.keys()].filter(y => !b.has(y)).sort(),
+    onlyAfter: [...b.keys()].filter(y => !a.has(y)).sort(),
+    changes: years.reduce((n, y) => n + y.changes, 0),
+  };
+}
+
+function names(h) {
+  return [h.name_en, h.name_zh].filter(Boolean).join(' / ') || '(no name)';
+}
+
+// Markdown version of a diffHolidays() result.
+export function diffMarkdown(result) {
+  const langNames = { en: 'English', zh: 'Chinese' };
+  const first = result.years[0]?.year;
+  const last = result.years[result.years.length - 1]?.year;
+  const span = !first ? 'none' : first === last ? String(first) : `${first}–${last}`;
+  const lines = [
+    '# Holiday Data Changes',
+    '',
+    `Before: \`${result.before}\`  `,
+    `After: \`${result.after}\``,
+    '',
+    `Years compared: ${span}; names compared: ${result.languages.map(l => langNames[l]).join(', ') || 'none'}`,
+    '',
+    `Result: **${result.changes ? `${result.changes} change(s)` : 'no changes'}**`,
+  ];
+  if (result.onlyBefore.length) lines.push('', `Only in before: ${result.onlyBefore.join(', ')}`);
+  if (result.onlyAfter.length) lines.push('', `Only in after: ${result.onlyAfter.join(', ')}`);
+  if (result.years.length) {
+    lines.push('', '| Year | Added | Removed | Moved | Renamed |', '| ---- | ----- | ------- | ----- | ------- |');
+    for (const y of result.years) {
+      lines.push(`| ${y.year} | ${y.added.length} | ${y.removed.length} | ${y.moved.length} | ${y.renamed.length} |`);
+    }
+  }
+  for (const y of result.years.filter(v => v.changes)) {
+    lines.push('', `## ${y.year}`);
+    if (y.added.length) lines.push('', '### Added', '', ...y.added.map(h => `- ${h.date} ${names(h)}`));
+    if (y.removed.length) lines.push('', '### Removed', '', ...y.removed.map(h => `- ${h.date} ${names(h)}`));
+    if (y.moved.length) {
+      lines.push('', '### Moved', '', ...y.moved.map(m => {
+        const renamedToo = names(m.before) !== names(m.after) ? ` (now "${names(m.after)}")` : '';
+        return `- ${names(m.before)}: ${m.from} → ${m.to}${renamedToo}`;
+      }));
+    }
+    if (y.renamed.length) {
+      lines.push('', '### Renamed', '', ...y.renamed.map(r => `- ${r.date}: "${names(r.before)}" → "${names(r.after)}"`));
+    }
+  }
+  return lines.join('\n');
+}
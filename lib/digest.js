@@ -0,0 +1,309 @@
+// Upcoming-holiday digests for reminders: the holidays of the next N days
+// from a date, with the long weekends they make and a note for holidays that
+// fall on a Saturday or Sunday, formatted for chat, e-mail and feed readers.
+//
+//   md    Markdown (Teams, GitHub, e-mail)
+//   txt   plain text (cron mail)
+//   rss   RSS 2.0
+//   atom  Atom (RFC 4287)
+//   json  webhook payload: { text, ...digest }; Slack, Teams and Google Chat
+//         incoming webhooks all show `text`
+//
+// Text is bilingual by default (lang 'both'), or English / Chinese only with
+// lang 'en' / 'zh'.  A long weekend is a run of 3 or more consecutive days off
+// (weekend days and holidays, as in lib/business-days.js) that contains one of
+// the digest's holidays; it may start before or end after the window.
+//
+// Feed items and entries have ids that only depend on the region and date, so
+// a digest re-published every day updates its items instead of repeating them.
+
+import { createBusinessCalendar } from './business-days.js';
+import { addDays, daysBetween, toISODate, today, weekday } from './dates.js';
+import { normalizeRecords } from './query.js';
+import { regionOf, REGIONS } from './regions.js';
+import { holidayType, typeLabel } from './types.js';
+
+export const DIGEST_FORMATS = ['md', 'txt', 'rss', 'atom', 'json'];
+export const DIGEST_LANGUAGES = ['both', 'en', 'zh'];
+export const SITE_URL = 'https://raymondckm2000.github.io/hk-holidays/';
+
+const LONG_WEEKEND_DAYS = 3;
+const WEEKDAYS_EN = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS_ZH = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+const MONTHS_EN = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const TEXT = {
+  en: {
+    title: r => `Upcoming holidays (${r.name_en})`,
+    range: (a, b) => `${a} to ${b}`,
+    none: n => `No holidays in the next ${n} days.`,
+    weekday: iso => WEEKDAYS_EN[weekday(iso)],
+    when: n => (n === 0 ? 'today' : n === 1 ? 'tomorrow' : `in ${n} days`),
+    saturday: 'falls on a Saturday',
+    sunday: 'falls on a Sunday',
+    provisional: 'provisional',
+    longWeekends: 'Long weekends',
+    longWeekend: n => `${n}-day long weekend`,
+    workdays: 'Adjusted working days',
+  },
+  zh: {
+    title: r => `即將來臨的假期（${r.name_zh}）`,
+    range: (a, b) => `${a} 至 ${b}`,
+    none: n => `未來 ${n} 日沒有假期。`,
+    weekday: iso => WEEKDAYS_ZH[weekday(iso)],
+    when: n => (n === 0 ? '今日' : n === 1 ? '明日' : `${n} 日後`),
+    saturday: '適逢星期六',
+    sunday: '適逢星期日',
+    provisional: '暫定',
+    longWeekends: '長週末',
+    longWeekend: n => `${n} 日長週末`,
+    workdays: '調休上班日',
+  },
+};
+
+function requireDays(days) {
+  const n = Number(days);
+  if (!Number.isInteger(n) || n < 1 || n > 366) throw new RangeError(`Invalid number of days: ${days}`);
+  return n;
+}
+
+// The days-off run around `iso` as { start, end }.
+function runAround(iso, isOff) {
+  let start = iso;
+  let end = iso;
+  while (isOff(addDays(start, -1))) start = addDays(start, -1);
+  while (isOff(addDays(end, 1))) end = addDays(end, 1);
+  return { start, end };
+}
+
+// records → {
+//   from, to, days, region,
+//   holidays: [{ date, name_en, name_zh, type, statutory, provisional, cutoff?,
+//                reason?, in, weekend: 'saturday' | 'sunday' | null, longWeekend }],
+//   longWeekends: [{ start, end, days, holidays: [date] }],
+//   workdays: [{ date, name_en, name_zh }]
+// }
+// for the `days` days from `from` (today by default), both ends included.
+// `in` counts days from `from`; `longWeekend` is the start of the holiday's
+// long weekend, or null.  weekend / statutoryOnly / halfDays are the
+// lib/business-days.js options; statutoryOnly also leaves other holidays out
+// of the list.  Half days are listed but only join a long weekend with
+// halfDays: 'off'.
+export function upcomingHolidays(data, { from, days = 14, weekend, statutoryOnly, halfDays } = {}) {
+  const start = from ? toISODate(from) : today();
+  if (!start) throw new TypeError(`Invalid date: ${from}`);
+  const n = requireDays(days);
+  const end = addDays(start, n - 1);
+  const records = normalizeRecords(data);
+  const business = createBusinessCalendar(records, { weekend, statutoryOnly, halfDays });
+  const isOff = d => !business.isBusinessDay(d);
+  const inRange = h => h.date >= start && h.date <= end;
+
+  const seen = new Set();
+  const listed = h => inRange(h) && holidayType(h) !== 'workday' && (!statutoryOnly || h.statutory);
+  const list = records.filter(h => listed(h) && !seen.has(h.date) && seen.add(h.date));
+
+  const longWeekends = [];
+  for (const h of list) {
+    if (longWeekends.some(w => h.date >= w.start && h.date <= w.end) || !isOff(h.date)) continue;
+    const run = runAround(h.date, isOff);
+    const length = daysBetween(run.start, run.end) + 1;
+    if (length >= LONG_WEEKEND_DAYS) {
+      longWeekends.push({ ...run, days: length, holidays: list.filter(x => x.date >= run.start && x.date <= run.end).map(x => x.date) });
+    }
+  }
+
+  return {
+    from: start,
+    to: end,
+    days: n,
+    region: records.length ? regionOf(records[0]) : 'HK',
+    holidays: list.map(h => ({
+      date: h.date,
+      name_en: h.name_en,
+      name_zh: h.name_zh,
+      type: holidayType(h),
+      statutory: Boolean(h.statutory),
+      provisional: Boolean(h.provisional),
+      ...(h.cutoff ? { cutoff: h.cutoff } : {}),
+      ...(h.reason ? { reason: h.reason } : {}),
+      in: daysBetween(start, h.date),
+      weekend: weekday(h.date) === 6 ? 'saturday' : weekday(h.date) === 0 ? 'sunday' : null,
+      longWeekend: longWeekends.find(w => w.holidays.includes(h.date))?.start || null,
+    })),
+    longWeekends,
+    workdays: records
+      .filter(h => inRange(h) && holidayType(h) === 'workday')
+      .map(h => ({ date: h.date, name_en: h.name_en, name_zh: h.name_zh })),
+  };
+}
+
+// ---------- formatting ----------
+
+function requireLang(lang) {
+  if (!DIGEST_LANGUAGES.includes(lang)) throw new TypeError(`Unknown language "${lang}"; use ${DIGEST_LANGUAGES.join(', ')}`);
+  return lang;
+}
+
+// Message `key` in the digest language: 'both' joins English and Chinese.
+function translator(lang) {
+  const pick = (key, args, l) => (typeof TEXT[l][key] === 'function' ? TEXT[l][key](...args) : TEXT[l][key]);
+  return (key, ...args) => (lang === 'both' ? `${pick(key, args, 'en')} / ${pick(key, args, 'zh')}` : pick(key, args, lang));
+}
+
+function nameOf(h, lang) {
+  if (lang === 'both') return [h.name_en, h.name_zh].filter(Boolean).join(' / ');
+  return (lang === 'zh' ? h.name_zh : h.name_en) || h.name_en || h.name_zh;
+}
+
+function labelOf(h, lang) {
+  return lang === 'both' ? `${typeLabel(h, 'en')} / ${typeLabel(h, 'zh')}` : typeLabel(h, lang);
+}
+
+const regionInfo = digest => REGIONS[digest.region] || REGIONS.HK;
+
+// One holiday's line parts: { head: '2025-12-25 (Thu)', name, details: [...] }.
+function describe(h, digest, lang) {
+  const t = translator(lang);
+  const details = [labelOf(h, lang), t('when', h.in)];
+  if (h.provisional) details.push(t('provisional'));
+  if (h.weekend) details.push(t(h.weekend));
+  const w = digest.longWeekends.find(x => x.start === h.longWeekend);
+  if (w) details.push(`${t('longWeekend', w.days)} ${w.start} – ${w.end}`);
+  return { head: `${h.date} (${t('weekday', h.date)})`, name: nameOf(h, lang), details };
+}
+
+function lines(digest, lang, markdown) {
+  const t = translator(lang);
+  const title = t('title', regionInfo(digest));
+  const out = [markdown ? `# ${title}` : title, '', t('range', digest.from, digest.to), ''];
+  if (!digest.holidays.length) out.push(t('none', digest.days));
+  for (const h of digest.holidays) {
+    const d = describe(h, digest, lang);
+    out.push(markdown ? `- **${d.head}** ${d.name} — ${d.details.join(' · ')}` : `${d.head}  ${d.name}\n    ${d.details.join(' · ')}`);
+  }
+  if (digest.longWeekends.length) {
+    out.push('', markdown ? `## ${t('longWeekends')}` : `${t('longWeekends')}:`, '');
+    for (const w of digest.longWeekends) {
+      const names = [...new Set(w.holidays.map(date => nameOf(digest.holidays.find(h => h.date === date), lang)))].join(', ');
+      out.push(`${markdown ? '- ' : ''}${w.start} – ${w.end}: ${t('longWeekend', w.days)} (${names})`);
+    }
+  }
+  if (digest.workdays.length) {
+    out.push('', markdown ? `## ${t('workdays')}` : `${t('workdays')}:`, '');
+    for (const w of digest.workdays) out.push(`${markdown ? '- ' : ''}${w.date} (${t('weekday', w.date)}) ${nameOf(w, lang)}`);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+export function digestMarkdown(digest, { lang = 'both' } = {}) {
+  return lines(digest, requireLang(lang), true);
+}
+
+export function digestText(digest, { lang = 'both' } = {}) {
+  return lines(digest, requireLang(lang), false);
+}
+
+// Webhook payload: the plain-text digest as `text`, plus the digest itself.
+export function digestWebhook(digest, { lang = 'both' } = {}) {
+  return { text: digestText(digest, { lang }).trimEnd(), ...digest };
+}
+
+// ---------- feeds ----------
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const xml = s => String(s).replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+
+// Feed timestamps are midnight Hong Kong time of the digest's first day.
+const rfc822 = iso => {
+  const [y, m, d] = iso.split('-');
+  return `${WEEKDAYS_EN[weekday(iso)]}, ${d} ${MONTHS_EN[Number(m) - 1]} ${y} 00:00:00 +0800`;
+};
+const rfc3339 = iso => `${iso}T00:00:00+08:00`;
+
+const itemId = (digest, h) => `urn:hk-holidays:${digest.region.toLowerCase()}:${h.date}`;
+const itemLink = (link, digest, h) => {
+  const regions = digest.region === 'HK' ? '' : `&regions=${digest.region.toLowerCase()}`;
+  return `${link}index.html?mode=year&year=${h.date.slice(0, 4)}${regions}`;
+};
+
+function feedParts(digest, { lang = 'both', link = SITE_URL } = {}) {
+  requireLang(lang);
+  const t = translator(lang);
+  return {
+    link,
+    title: t('title', regionInfo(digest)),
+    subtitle: t('range', digest.from, digest.to),
+    xmlLang: lang === 'en' ? 'en' : 'zh-HK',
+    items: digest.holidays.map(h => {
+      const d = describe(h, digest, lang);
+      return { id: itemId(digest, h), link: itemLink(link, digest, h), title: `${d.head} ${d.name}`, summary: d.details.join(' · ') };
+    }),
+  };
+}
+
+// options: lang, link (the site the items link to, SITE_URL by default).
+export function digestRSS(digest, options = {}) {
+  const f = feedParts(digest, options);
+  const items = f.items.map(i => [
+    '    <item>',
+    `      <title>${xml(i.title)}</title>`,
+    `      <link>${xml(i.link)}</link>`,
+    `      <guid isPermaLink="false">${xml(i.id)}</guid>`,
+    `      <pubDate>${rfc822(digest.from)}</pubDate>`,
+    `      <description>${xml(i.summary)}</description>`,
+    '    </item>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${xml(f.title)}</title>`,
+    `    <link>${xml(f.link)}</link>`,
+    `    <description>${xml(f.subtitle)}</description>`,
+    `    <language>${f.xmlLang.toLowerCase()}</language>`,
+    `    <lastBuildDate>${rfc822(digest.from)}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+export function digestAtom(digest, options = {}) {
+  const f = feedParts(digest, options);
+  const entries = f.items.map(i => [
+    '  <entry>',
+    `    <id>${xml(i.id)}</id>`,
+    `    <title>${xml(i.title)}</title>`,
+    `    <link href="${xml(i.link)}"/>`,
+    `    <updated>${rfc3339(digest.from)}</updated>`,
+    `    <summary>${xml(i.summary)}</summary>`,
+    '  </entry>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${f.xmlLang}">`,
+    `  <id>urn:hk-holidays:${digest.region.toLowerCase()}:digest</id>`,
+    `  <title>${xml(f.title)}</title>`,
+    `  <subtitle>${xml(f.subtitle)}</subtitle>`,
+    `  <link href="${xml(f.link)}"/>`,
+    `  <updated>${rfc3339(digest.from)}</updated>`,
+    '  <author><name>hk-holidays</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+// format ('md' | 'txt' | 'rss' | 'atom' | 'json') → the digest as a string.
+export function formatDigest(digest, format = 'md', options = {}) {
+  switch (format) {
+    case 'md': return digestMarkdown(digest, options);
+    case 'txt': return digestText(digest, options);
+    case 'rss': return digestRSS(digest, options);
+    case 'atom': return digestAtom(digest, options);
+    case 'json': return `${JSON.stringify(digestWebhook(digest, options), null, 2)}\n`;
+    default: throw new TypeError(`Unknown digest format "${format}"; use ${DIGEST_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,155 @@
+// Holiday entitlement of one employee under the Employment Ordinance (Cap. 57,
+// Part VIII), on top of the statutory flags the build resolves
+// (lib/statutory.js), for payroll:
+//
+//   • every statutory holiday that falls while employed is granted, whatever
+//     the length of service (s. 39);
+//   • holiday pay, a day's average daily wage over the preceding 12 months,
+//     is due once the employee has been under a continuous contract for 3
+//     months immediately before the holiday (s. 40);
+//   • a statutory holiday on a rest day moves to the day following the rest
+//     day that is not a statutory, alternative or substituted holiday
+//     (s. 39(3)); further rest days are skipped too, so with Saturday and
+//     Sunday off a Saturday holiday moves to Monday;
+//   • paid annual leave (s. 41AA): 7 days for each of the first two years of
+//     service, then one more a year up to 14, earned on each anniversary.
+//
+// The contract is taken to be continuous from the start date.  Alternative
+// holidays agreed under s. 39(2), and Winter Solstice instead of Christmas
+// Day, are the employer's choice and not modelled.
+//
+// An employee is { start, end?, restDays?, restDates?, averageDailyWage? }:
+// restDays is a weekday preset ('sun', 'sat-sun') or weekday numbers, Sunday
+// by default; restDates adds rest days off the weekly pattern (shift rosters).
+
+import { resolveWeekend } from './business-days.js';
+import { addDays, addMonths, toISODate, weekday, yearOf } from './dates.js';
+import { regionOf } from './regions.js';
+import { holidayType } from './types.js';
+
+export const HOLIDAY_PAY_MONTHS = 3;
+
+// Paid annual leave days earned on completing the n-th year of service.
+export function annualLeaveDays(serviceYear) {
+  if (!Number.isInteger(serviceYear) || serviceYear < 1) throw new RangeError(`Invalid service year: ${serviceYear}`);
+  return Math.min(14, serviceYear <= 2 ? 7 : serviceYear + 5);
+}
+
+function requireDate(input, label) {
+  const iso = toISODate(input);
+  if (!iso) throw new TypeError(`Invalid ${label}: ${input}`);
+  return iso;
+}
+
+function readEmployee({ start, end, restDays = 'sun', restDates = [], averageDailyWage } = {}) {
+  const from = requireDate(start, 'start date');
+  const to = end ? requireDate(end, 'end date') : '';
+  if (to && to < from) throw new RangeError(`End date ${to} is before the start date ${from}`);
+  const weekly = new Set(resolveWeekend(restDays));
+  const extra = new Set(restDates.map(d => requireDate(d, 'rest date')));
+  if (!weekly.size && !extra.size) throw new RangeError('At least one rest day is needed (the ordinance grants one in every 7 days)');
+  const wage = averageDailyWage === undefined || averageDailyWage === null || averageDailyWage === '' ? null : Number(averageDailyWage);
+  if (wage !== null && !(wage >= 0)) throw new TypeError(`Invalid average daily wage: ${averageDailyWage}`);
+  return {
+    start: from,
+    end: to,
+    isRestDay: iso => weekly.has(weekday(iso)) || extra.has(iso),
+    averageDailyWage: wage,
+    paidFrom: addMonths(from, HOLIDAY_PAY_MONTHS),
+  };
+}
+
+// Hong Kong statutory general holidays of a year, one per date.
+function statutoryHolidays(records, year) {
+  const byDate = new Map();
+  for (const h of records) {
+    if (h?.statutory && holidayType(h) === 'general' && regionOf(h) === 'HK' && yearOf(h.date) === year && !byDate.has(h.date)) byDate.set(h.date, h);
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// One year → {
+//   year, start, end,
+//   holidays: [{ date, name_en, name_zh, employed, paid, restDay, substitute }],
+//   statutory, entitled, paid, onRestDay, substitutes: [{ for, date }],
+//   holidayPay (null without averageDailyWage),
+//   annualLeave: { date, serviceYear, days } | null
+// }.  `paid` is false before the 3-month qualifying period; `substitute` is
+// the day off given for a holiday on a rest day, or null when that day falls
+// after the end of employment.
+export function holidayEntitlement(records, year, employee) {
+  year = Number(year);
+  if (!Number.isInteger(year)) throw new TypeError(`Invalid year: ${year}`);
+  const e = readEmployee(employee);
+  const list = statutoryHolidays(records, year);
+  const statutory = new Set(list.map(h => h.date));
+  const taken = new Set();
+
+  const holidays = list.map(h => {
+    const employed = h.date >= e.start && (!e.end || h.date <= e.end);
+    const restDay = employed && e.isRestDay(h.date);
+    let substitute = null;
+    if (restDay) {
+      let d = addDays(h.date, 1);
+      while (e.isRestDay(d) || statutory.has(d) || taken.has(d)) d = addDays(d, 1);
+      taken.add(d);
+      if (!e.end || d <= e.end) substitute = d;
+    }
+    return {
+      date: h.date,
+      name_en: h.name_en,
+      name_zh: h.name_zh,
+      employed,
+      paid: employed && h.date >= e.paidFrom,
+      restDay,
+      substitute,
+    };
+  });
+
+  let annualLeave = null;
+  for (let n = 1; ; n++) {
+    const date = addMonths(e.start, 12 * n);
+    if (yearOf(date) > year || (e.end && date > e.end)) break;
+    if (yearOf(date) === year) annualLeave = { date, serviceYear: n, days: annualLeaveDays(n) };
+  }
+
+  const paid = holidays.filter(h => h.paid).length;
+  return {
+    year,
+    start: e.start,
+    end: e.end || null,
+    holidays,
+    statutory: holidays.length,
+    entitled: holidays.filter(h => h.employed).length,
+    paid,
+    onRestDay: holidays.filter(h => h.restDay).length,
+    substitutes: holidays.filter(h => h.substitute).map(h => ({ for: h.date, date: h.substitute })),
+    holidayPay: e.averageDailyWage === null ? null : Math.round(paid * e.averageDailyWage * 100) / 100,
+    annualLeave,
+  };
+}
+
+// Per-year summary from the start year (or `from`) to `to` (default: the last
+// year of the records, or the end of employment when earlier):
+// [{ year, statutory, entitled, paid, onRestDay, substitutes, annualLeave, holidayPay }].
+export function entitlementSummary(records, employee, { from, to } = {}) {
+  const e = readEmployee(employee);
+  const last = Math.max(0, ...records.filter(h => h?.date).map(h => yearOf(h.date)));
+  const first = Number(from || yearOf(e.start));
+  const end = Math.min(Number(to || last), e.end ? yearOf(e.end) : Infinity);
+  const rows = [];
+  for (let y = Math.max(first, yearOf(e.start)); y <= end; y++) {
+    const r = holidayEntitlement(records, y, employee);
+    rows.push({
+      year: y,
+      statutory: r.statutory,
+      entitled: r.entitled,
+      paid: r.paid,
+      onRestDay: r.onRestDay,
+      substitutes: r.substitutes.length,
+      annualLeave: r.annualLeave ? r.annualLeave.days : 0,
+      holidayPay: r.holidayPay,
+    });
+  }
+  return rows;
+}
@@ -0,0 +1,206 @@
+// Rule-based Hong Kong general holidays (General Holidays Ordinance, Cap. 149)
+// for any year.  Output uses the same record shape as the 1823-derived data,
+// flagged provisional: true, so years without an official list can be planned
+// and later compared against the gazetted one.
+//
+// Substitution rules applied:
+//   • a holiday falling on a Sunday moves to the next free day ("The day following …");
+//   • a holiday landing on a day already taken by an earlier holiday moves the same way;
+//   • if one of the first three days of Lunar New Year is a Sunday, the fourth day is added;
+//   • Christmas on a Sunday gives the first and second weekdays after Christmas Day.
+
+import { addDays, weekday } from './dates.js';
+import { lunarNewYear, lunarToSolar, solarTermDate } from './lunar.js';
+
+// Anonymous Gregorian computus.
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const following = h => ({
+  name_en: `The day following ${h.name_en.replace(/^The /, 'the ')}`,
+  name_zh: `${h.name_zh}翌日`,
+});
+
+const MID_AUTUMN_SECOND = {
+  name_en: 'The second day following the Chinese Mid-Autumn Festival',
+  name_zh: '中秋節後第二日',
+};
+
+// Holidays other than Lunar New Year and Christmas, which have their own rules.
+function movableHolidays(year) {
+  const easter = easterSunday(year);
+  return [
+    { date: `${year}-01-01`, name_en: 'The first day of January', name_zh: '一月一日' },
+    { date: solarTermDate(year, 15), name_en: 'Ching Ming Festival', name_zh: '清明節' },
+    { date: addDays(easter, -2), name_en: 'Good Friday', name_zh: '耶穌受難節' },
+    { date: addDays(easter, -1), name_en: 'The day following Good Friday', name_zh: '耶穌受難節翌日' },
+    { date: addDays(easter, 1), name_en: 'Easter Monday', name_zh: '復活節星期一' },
+    { date: `${year}-05-01`, name_en: 'Labour Day', name_zh: '勞動節' },
+    { date: lunarToSolar(year, 4, 8), name_en: 'The Birthday of the Buddha', name_zh: '佛誕' },
+    { date: lunarToSolar(year, 5, 5), name_en: 'Tuen Ng Festival', name_zh: '端午節' },
+    { date: `${year}-07-01`, name_en: 'Hong Kong Special Administrative Region Establishment Day', name_zh: '香港特別行政區成立紀念日' },
+    { date: lunarToSolar(year, 8, 16), name_en: 'The day following the Chinese Mid-Autumn Festival', name_zh: '中秋節翌日', substitute: MID_AUTUMN_SECOND },
+    { date: `${year}-10-01`, name_en: 'National Day', name_zh: '國慶日' },
+    { date: lunarToSolar(year, 9, 9), name_en: 'Chung Yeung Festival', name_zh: '重陽節' },
+  ];
+}
+
+function lunarNewYearDays(year) {
+  const first = lunarNewYear(year);
+  const days = [
+    { date: first, name_en: 'Lunar New Year’s Day', name_zh: '農曆年初一' },
+    { date: addDays(first, 1), name_en: 'The second day of Lunar New Year', name_zh: '農曆年初二' },
+    { date: addDays(first, 2), name_en: 'The third day of Lunar New Year', name_zh: '農曆年初三' },
+  ];
+  const kept = days.filter(h => weekday(h.date) !== 0);
+  if (kept.length < days.length) {
+    kept.push({ date: addDays(first, 3), name_en: 'The fourth day of Lunar New Year', name_zh: '農曆年初四' });
+  }
+  return kept;
+}
+
+function christmasDays(year) {
+  const christmas = `${year}-12-25`;
+  const weekdaysAfter = [];
+  for (let d = addDays(christmas, 1); weekdaysAfter.length < 2; d = addDays(d, 1)) {
+    if (weekday(d) !== 0) weekdaysAfter.push(d);
+  }
+  const out = [];
+  if (weekday(christmas) !== 0) out.push({ date: christmas, name_en: 'Christmas Day', name_zh: '聖誕節' });
+  out.push({ date: weekdaysAfter[0], name_en: 'The first weekday after Christmas Day', name_zh: '聖誕節後第一個周日' });
+  if (weekday(christmas) === 0) {
+    out.push({ date: weekdaysAfter[1], name_en: 'The second weekday after Christmas Day', name_zh: '聖誕節後第二個周日' });
+  }
+  return out;
+}
+
+// ---------- Macau and Mainland China (lib/regions.js) ----------
+//
+// Macau: the public holidays of Administrative Regulation 60/2000, without the
+// compensatory days the government announces for holidays on a Sunday.
+// Mainland: the national holidays of the State Council rules (from 2025 with
+// Spring Festival Eve and 2 May); the yearly notice then bridges them into
+// longer breaks with adjusted working days, which no rule can predict.  Both
+// are flagged provisional like the Hong Kong output.
+
+function macauHolidays(year) {
+  const easter = easterSunday(year);
+  const lny = lunarNewYear(year);
+  return [
+    { date: `${year}-01-01`, name_en: 'New Year’s Day', name_zh: '元旦' },
+    { date: lny, name_en: 'Lunar New Year’s Day', name_zh: '農曆正月初一' },
+    { date: addDays(lny, 1), name_en: 'The second day of Lunar New Year', name_zh: '農曆正月初二' },
+    { date: addDays(lny, 2), name_en: 'The third day of Lunar New Year', name_zh: '農曆正月初三' },
+    { date: addDays(easter, -2), name_en: 'Good Friday', name_zh: '耶穌受難日' },
+    { date: addDays(easter, -1), name_en: 'The Day before Easter', name_zh: '復活節前日' },
+    { date: solarTermDate(year, 15), name_en: 'Ching Ming Festival', name_zh: '清明節' },
+    { date: `${year}-05-01`, name_en: 'Labour Day', name_zh: '勞動節' },
+    { date: lunarToSolar(year, 4, 8), name_en: 'The Buddha’s Birthday', name_zh: '佛誕節' },
+    { date: lunarToSolar(year, 5, 5), name_en: 'Tuen Ng Festival', name_zh: '端午節' },
+    { date: lunarToSolar(year, 8, 16), name_en: 'The day following the Chinese Mid-Autumn Festival', name_zh: '中秋節翌日' },
+    { date: `${year}-10-01`, name_en: 'National Day of the People’s Republic of China', name_zh: '中華人民共和國國慶日' },
+    { date: `${year}-10-02`, name_en: 'The day following National Day', name_zh: '國慶日翌日' },
+    { date: lunarToSolar(year, 9, 9), name_en: 'Chung Yeung Festival', name_zh: '重陽節' },
+    { date: `${year}-11-02`, name_en: 'All Souls’ Day', name_zh: '追思節' },
+    { date: `${year}-12-08`, name_en: 'Feast of the Immaculate Conception', name_zh: '聖母無原罪瞻禮' },
+    { date: `${year}-12-20`, name_en: 'Macao SAR Establishment Day', name_zh: '澳門特別行政區成立紀念日' },
+    { date: solarTermDate(year, 270), name_en: 'Winter Solstice', name_zh: '冬至' },
+    { date: `${year}-12-24`, name_en: 'Christmas Eve', name_zh: '聖誕節前日' },
+    { date: `${year}-12-25`, name_en: 'Christmas Day', name_zh: '聖誕節' },
+  ];
+}
+
+function mainlandHolidays(year) {
+  const lny = lunarNewYear(year);
+  const spring = { name_en: 'Spring Festival', name_zh: '春節' };
+  const labour = { name_en: 'Labour Day', name_zh: '勞動節' };
+  const national = { name_en: 'National Day', name_zh: '國慶節' };
+  return [
+    { date: `${year}-01-01`, name_en: 'New Year’s Day', name_zh: '元旦' },
+    ...(year >= 2025 ? [{ date: addDays(lny, -1), ...spring }] : []),
+    { date: lny, ...spring },
+    { date: addDays(lny, 1), ...spring },
+    { date: addDays(lny, 2), ...spring },
+    { date: solarTermDate(year, 15), name_en: 'Qingming Festival', name_zh: '清明節' },
+    { date: `${year}-05-01`, ...labour },
+    ...(year >= 2025 ? [{ date: `${year}-05-02`, ...labour }] : []),
+    { date: lunarToSolar(year, 5, 5), name_en: 'Dragon Boat Festival', name_zh: '端午節' },
+    { date: lunarToSolar(year, 8, 15), name_en: 'Mid-Autumn Festival', name_zh: '中秋節' },
+    { date: `${year}-10-01`, ...national },
+    { date: `${year}-10-02`, ...national },
+    { date: `${year}-10-03`, ...national },
+  ];
+}
+
+// Two holidays on one day (Mid-Autumn on National Day) become one record.
+function regionHolidays(list, region) {
+  const byDate = new Map();
+  for (const h of list) {
+    const prev = byDate.get(h.date);
+    byDate.set(h.date, !prev ? h : {
+      date: h.date,
+      name_en: `${prev.name_en} / ${h.name_en}`,
+      name_zh: `${prev.name_zh}、${h.name_zh}`,
+    });
+  }
+  return [...byDate.values()]
+    .map(h => ({ date: h.date, name_en: h.name_en, name_zh: h.name_zh, statutory: false, type: 'general', source: 'generated', provisional: true, region }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const REGION_RULES = { MO: macauHolidays, CN: mainlandHolidays };
+
+// Hong Kong by default; { region: 'MO' | 'CN' } for the other regions.
+export function generateHolidays(year, { region = 'HK' } = {}) {
+  year = Number(year);
+  if (!Number.isInteger(year)) throw new TypeError(`Invalid year: ${year}`);
+  if (region !== 'HK') {
+    if (!REGION_RULES[region]) throw new TypeError(`Unknown region: ${region}`);
+    return regionHolidays(REGION_RULES[region](year), region);
+  }
+
+  const taken = new Set();
+  const out = [];
+  const claim = h => {
+    taken.add(h.date);
+    out.push({ date: h.date, name_en: h.name_en, name_zh: h.name_zh, statutory: false, type: 'general', source: 'generated', provisional: true });
+  };
+
+  lunarNewYearDays(year).forEach(claim);
+
+  // In date order, so e.g. Ching Ming on Easter Sunday takes Easter Monday's
+  // slot and pushes Easter Monday to the next day, as gazetted for 2021 and 2026.
+  const movable = movableHolidays(year).sort((a, b) => a.date.localeCompare(b.date));
+  for (const h of movable) {
+    if (weekday(h.date) !== 0 && !taken.has(h.date)) { claim(h); continue; }
+    let d = addDays(h.date, 1);
+    while (weekday(d) === 0 || taken.has(d)) d = addDays(d, 1);
+    claim({ date: d, ...(h.substitute || following(h)) });
+  }
+
+  christmasDays(year).forEach(claim);
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Inclusive year range.
+export function generateHolidayRange(from, to, options) {
+  const out = [];
+  for (let y = Number(from); y <= Number(to); y++) out.push(...generateHolidays(y, options));
+  return out;
+}
@@ -0,0 +1,229 @@
+// UI languages for the pages: English, Traditional Chinese (Hong Kong) and
+// Simplified Chinese.  Records only carry name_en and name_zh (Traditional),
+// so zh-CN shows name_zh through toSimplified() — a character table covering
+// holiday names, type labels and overlay names, not a general converter.
+//
+// Dates are formatted with dayjs.  The pages register the dayjs locale named
+// in DAYJS_LOCALES and pass localised dayjs objects to the message functions,
+// which keeps this module free of imports.
+
+export const LANGUAGES = ['en', 'zh-HK', 'zh-CN'];
+export const DEFAULT_LANGUAGE = 'en';
+export const LANGUAGE_NAMES = { en: 'English', 'zh-HK': '繁體中文', 'zh-CN': '简体中文' };
+export const DAYJS_LOCALES = { en: 'en', 'zh-HK': 'zh-hk', 'zh-CN': 'zh-cn' };
+
+// localStorage key for the remembered choice.
+export const STORAGE_KEY = 'hk-holidays.lang';
+
+export const MESSAGES = {
+  en: {
+    pageTitle: 'Hong Kong Holiday Calendar',
+    monthTitle: (m, place) => `Calendar for ${m.format('MMMM YYYY')} (${place})`,
+    yearTitle: (y, place) => `Calendar for Year ${y} (${place})`,
+    monthHolidays: m => `Holidays in ${m.format('MMMM YYYY')}`,
+    yearHolidays: y => `Holidays in ${y}`,
+    noHolidays: 'No holidays.',
+    monthName: 'MMMM',
+    weekdayHeader: 'ddd',
+    date: 'YYYY-MM-DD (dddd)',
+    prev: '< Prev',
+    next: 'Next >',
+    prevYear: 'Previous year',
+    nextYear: 'Next year',
+    view: 'View:',
+    month: 'Month',
+    year: 'Year',
+    language: 'Lang:',
+    yearLabel: 'Year:',
+    entity: 'Entity:',
+    publicHolidays: 'Public holidays',
+    lunar: 'Lunar calendar',
+    lunarTitle: (lunar, term) => `Lunar ${lunar}${term ? `, ${term.name_en} (${term.name_zh})` : ''}`,
+    planner: 'Leave planner',
+    leaveBudget: 'Leave budget:',
+    suggest: 'Suggest',
+    clearLeave: 'Clear',
+    plannerHint: 'Click a working day to mark or unmark leave.',
+    plannerSummary: (used, budget, off, longest) => `Leave ${used} / ${budget} · ${off} days off this year · longest break ${longest} days`,
+    leaveDay: 'Leave',
+    shortDate: 'ddd D MMM',
+    breaksHeading: y => `Breaks in ${y}`,
+    breakLine: (days, leave) => `${days} days off (${leave} leave day${leave === 1 ? '' : 's'})`,
+    noBreaks: 'No leave marked yet.',
+    teamLeave: 'Team leave:',
+    maxAway: 'Max away:',
+    clearTeam: 'Clear',
+    awayCount: n => `${n} away`,
+    awayTitle: (n, names) => `Away (${n}): ${names}`,
+    overLimit: 'Too many away',
+    teamSummary: (people, over, y) => `${people} people · ${over} day${over === 1 ? '' : 's'} over the limit in ${y}`,
+    teamMonth: m => `Team leave in ${m.format('MMMM YYYY')}`,
+    teamOverYear: y => `Days over the limit in ${y}`,
+    teamLine: (n, names) => `${n} away: ${names}`,
+    noTeamLeave: 'Nobody away.',
+    noTeamOver: 'No days over the limit.',
+    teamError: message => `Could not read the team leave file: ${message}`,
+    regions: 'Regions:',
+    layout: 'Layout:',
+    merged: 'Merged',
+    sideBySide: 'Side by side',
+    workdayMark: 'work',
+  },
+  'zh-HK': {
+    pageTitle: '香港假期月曆',
+    monthTitle: (m, place) => `${m.format('YYYY年M月')}${place}月曆`,
+    yearTitle: (y, place) => `${y}年${place}月曆`,
+    monthHolidays: m => `${m.format('YYYY年M月')}假期`,
+    yearHolidays: y => `${y}年假期`,
+    noHolidays: '沒有假期。',
+    monthName: 'MMMM',
+    weekdayHeader: 'dd',
+    date: 'YYYY年M月D日 dddd',
+    prev: '< 上月',
+    next: '下月 >',
+    prevYear: '上一年',
+    nextYear: '下一年',
+    view: '檢視：',
+    month: '月',
+    year: '年',
+    language: '語言：',
+    yearLabel: '年份：',
+    entity: '機構：',
+    publicHolidays: '公眾假期',
+    lunar: '農曆',
+    lunarTitle: (lunar, term) => `農曆${lunar}${term ? `，${term.name_zh}` : ''}`,
+    planner: '請假規劃',
+    leaveBudget: '可用假期：',
+    suggest: '建議',
+    clearLeave: '清除',
+    plannerHint: '按工作天標記或取消請假。',
+    plannerSummary: (used, budget, off, longest) => `已用假期 ${used} / ${budget} 日・全年休息 ${off} 日・最長連假 ${longest} 日`,
+    leaveDay: '請假',
+    shortDate: 'M月D日（dd）',
+    breaksHeading: y => `${y}年連假`,
+    breakLine: (days, leave) => `連休 ${days} 日（請假 ${leave} 日）`,
+    noBreaks: '尚未標記請假。',
+    teamLeave: '團隊請假：',
+    maxAway: '最多缺勤：',
+    clearTeam: '清除',
+    awayCount: n => `缺${n}人`,
+    awayTitle: (n, names) => `缺勤（${n}人）：${names}`,
+    overLimit: '缺勤過多',
+    teamSummary: (people, over, y) => `${people} 人・${y}年有 ${over} 日超出上限`,
+    teamMonth: m => `${m.format('YYYY年M月')}團隊請假`,
+    teamOverYear: y => `${y}年超出上限的日子`,
+    teamLine: (n, names) => `${n}人缺勤：${names}`,
+    noTeamLeave: '沒有人缺勤。',
+    noTeamOver: '沒有超出上限的日子。',
+    teamError: message => `無法讀取團隊請假檔案：${message}`,
+    regions: '地區：',
+    layout: '排列：',
+    merged: '合併顯示',
+    sideBySide: '並排顯示',
+    workdayMark: '班',
+  },
+  'zh-CN': {
+    pageTitle: '香港假期月历',
+    monthTitle: (m, place) => `${m.format('YYYY年M月')}${place}月历`,
+    yearTitle: (y, place) => `${y}年${place}月历`,
+    monthHolidays: m => `${m.format('YYYY年M月')}假期`,
+    yearHolidays: y => `${y}年假期`,
+    noHolidays: '没有假期。',
+    monthName: 'MMMM',
+    weekdayHeader: 'dd',
+    date: 'YYYY年M月D日 dddd',
+    prev: '< 上月',
+    next: '下月 >',
+    prevYear: '上一年',
+    nextYear: '下一年',
+    view: '查看：',
+    month: '月',
+    year: '年',
+    language: '语言：',
+    yearLabel: '年份：',
+    entity: '机构：',
+    publicHolidays: '公众假期',
+    lunar: '农历',
+    lunarTitle: (lunar, term) => toSimplified(`農曆${lunar}${term ? `，${term.name_zh}` : ''}`),
+    planner: '请假规划',
+    leaveBudget: '可用假期：',
+    suggest: '建议',
+    clearLeave: '清除',
+    plannerHint: '点击工作日标记或取消请假。',
+    plannerSummary: (used, budget, off, longest) => `已用假期 ${used} / ${budget} 天・全年休息 ${off} 天・最长连假 ${longest} 天`,
+    leaveDay: '请假',
+    shortDate: 'M月D日（dd）',
+    breaksHeading: y => `${y}年连假`,
+    breakLine: (days, leave) => `连休 ${days} 天（请假 ${leave} 天）`,
+    noBreaks: '尚未标记请假。',
+    teamLeave: '团队请假：',
+    maxAway: '最多缺勤：',
+    clearTeam: '清除',
+    awayCount: n => `缺${n}人`,
+    awayTitle: (n, names) => `缺勤（${n}人）：${names}`,
+    overLimit: '缺勤过多',
+    teamSummary: (people, over, y) => `${people} 人・${y}年有 ${over} 天超出上限`,
+    teamMonth: m => `${m.format('YYYY年M月')}团队请假`,
+    teamOverYear: y => `${y}年超出上限的日子`,
+    teamLine: (n, names) => `${n}人缺勤：${names}`,
+    noTeamLeave: '没有人缺勤。',
+    noTeamOver: '没有超出上限的日子。',
+    teamError: message => `无法读取团队请假文件：${message}`,
+    regions: '地区：',
+    layout: '排列：',
+    merged: '合并显示',
+    sideBySide: '并排显示',
+    workdayMark: '班',
+  },
+};
+
+const SIMPLIFIED = Object.fromEntries([
+  '農农', '曆历', '歷历', '穌稣', '難难', '節节', '復复', '勞劳', '動动', '誕诞',
+  '區区', '紀纪', '慶庆', '陽阳', '聖圣', '後后', '個个', '國国', '別别', '眾众',
+  '辦办', '處处', '營营', '颱台', '極极', '況况', '週周', '時时', '臨临', '風风',
+  '門门', '灣湾', '開开', '會会', '與与', '業业', '員员', '東东', '歲岁', '號号',
+  '類类', '說说', '來来', '雙双', '發发', '際际', '團团', '長长', '樂乐', '電电',
+  '機机', '構构', '務务', '總总', '經经', '產产', '華华', '龍龙', '暫暂', '調调',
+  '補补', '換换', '這这', '們们', '為为', '無无', '點点', '間间', '進进', '運运',
+  '閏闰', '驚惊', '蟄蛰', '穀谷', '滿满', '種种', '內内', '陸陆', '禮礼',
+].map(pair => [...pair]));
+
+export function toSimplified(text) {
+  return String(text ?? '').replace(/[^\x00-\x7F]/g, c => SIMPLIFIED[c] || c);
+}
+
+// 'zh-TW', 'zh-Hant-HK', 'zh' → 'zh-HK'; 'zh-SG', 'zh-Hans' → 'zh-CN';
+// 'en-GB' → 'en'; anything else → null.
+export function normalizeLanguage(code) {
+  const c = String(code || '').toLowerCase();
+  if (/^zh-(cn|sg|hans)/.test(c)) return 'zh-CN';
+  if (/^zh\b/.test(c)) return 'zh-HK';
+  if (/^en\b/.test(c)) return 'en';
+  return null;
+}
+
+// Stored choice first, then the browser's languages, then English.
+export function pickLanguage(stored, preferred = []) {
+  for (const code of [stored, ...preferred]) {
+    const lang = normalizeLanguage(code);
+    if (lang) return lang;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// Record field language ('en' | 'zh') for a UI language.
+export function dataLang(lang) {
+  return lang === 'en' ? 'en' : 'zh';
+}
+
+export function t(lang, key, ...args) {
+  const message = MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  return typeof message === 'function' ? message(...args) : message;
+}
+
+// { en, zh } text (names, labels) in the UI language.
+export function localText(lang, { en = '', zh = '' }) {
+  if (lang === 'en') return en || zh;
+  const text = zh || en;
+  return lang === 'zh-CN' ? toSimplified(text) : text;
+}
@@ -0,0 +1,269 @@
+// Calendar ingest used by the hk-holidays CLI (cli/sources.js) and lib/diff.js.
+//
+// Reads RFC 5545 iCalendar text and both jCal layouts the 1823 feeds have used
+// (RFC 7265 arrays, and the { vcalendar: [{ vevent: [...] }] } object form), plus
+// the old flat [{ date, title }] list.  Every source becomes the same event
+// shape, and expandEvent() turns an event into the calendar days it covers:
+// multi-day spans, RRULE (via the rrule package; COUNT / INTERVAL / UNTIL and
+// all BY* parts), RDATE and EXDATE.
+//
+//   const events = readCalendar(fs.readFileSync('data/en.json', 'utf8'));
+//   calendarEntries(events, { from: '2024-01-01', to: '2026-12-31' });
+//   // → [{ date: '2024-01-01', summary: 'The first day of January', uid: … }, …]
+
+import rrule from 'rrule';
+import { addDays, formatISO, parseISO, toISODate } from './dates.js';
+
+const { RRule } = rrule;
+
+// Offset used to turn UTC (…Z) timestamps into a calendar day.
+const DEFAULT_UTC_OFFSET_HOURS = 8;
+// Window used for open-ended rules when the caller gives no range.
+const DEFAULT_RANGE_YEARS = 10;
+
+// ---------- Values ----------
+
+const TEXT_ESCAPES = { n: '\n', N: '\n', ',': ',', ';': ';', '\\': '\\' };
+
+export function unescapeText(v) {
+  return String(v ?? '').replace(/\\([nN,;\\])/g, (_, c) => TEXT_ESCAPES[c]);
+}
+
+export function escapeText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Split on commas that are not backslash-escaped.
+function splitList(v) {
+  return String(v).split(/(?<!\\),/).map(s => s.trim()).filter(Boolean);
+}
+
+// DATE / DATE-TIME value → { date, allDay, tzid }.  Floating and TZID times keep
+// their wall-clock day; UTC times are shifted by utcOffsetHours first.
+export function parseDateValue(value, params = {}, utcOffsetHours = DEFAULT_UTC_OFFSET_HOURS) {
+  const v = String(Array.isArray(value) ? value[0] : value ?? '').trim();
+  const tzid = params.tzid || params.TZID || '';
+  const m = v.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})?(Z)?)?/);
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, , z] = m;
+  if (!hh) return { date: `${y}-${mo}-${d}`, allDay: true, tzid };
+  if (z) {
+    const ms = Date.UTC(+y, +mo - 1, +d, +hh, +mm) + utcOffsetHours * 3600000;
+    return { date: formatISO(new Date(ms)), allDay: false, tzid: 'UTC', time: `${hh}:${mm}` };
+  }
+  return { date: `${y}-${mo}-${d}`, allDay: false, tzid, time: `${hh}:${mm}` };
+}
+
+// ---------- iCalendar text ----------
+
+// RFC 5545 §3.1: a CRLF followed by a space or tab continues the line.
+export function unfoldLines(text) {
+  return String(text).replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+// 'DTSTART;TZID="Asia/Hong_Kong";VALUE=DATE:20250101' → { name, params, value }
+export function parseContentLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') quoted = !quoted;
+    else if (c === ':' && !quoted) break;
+  }
+  if (i >= line.length) return null;
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const parts = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const name = (parts.shift() || '').toUpperCase();
+  const params = {};
+  for (const p of parts) {
+    const eq = p.indexOf('=');
+    if (eq === -1) continue;
+    params[p.slice(0, eq).toLowerCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name, params, value };
+}
+
+// Raw property list ([{ name, params, value }]) of every VEVENT, ignoring
+// nested components such as VALARM.
+function icsEventProperties(text) {
+  const events = [];
+  const stack = [];
+  let current = null;
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) continue;
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === 'VEVENT') current = [];
+    } else if (prop.name === 'END') {
+      const ended = stack.pop();
+      if (ended === 'VEVENT' && current) { events.push(current); current = null; }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      current.push(prop);
+    }
+  }
+  return events;
+}
+
+// ---------- jCal ----------
+
+// RFC 7265 recur value: { freq: 'YEARLY', bymonth: [1, 2] } → 'FREQ=YEARLY;BYMONTH=1,2'
+function recurToString(v) {
+  if (typeof v === 'string') return v;
+  return Object.entries(v || {})
+    .map(([k, val]) => `${k.toUpperCase()}=${Array.isArray(val) ? val.join(',') : val}`)
+    .join(';');
+}
+
+// RFC 7265: ['vcalendar', [props], [['vevent', [[name, params, type, value…]], […]], …]]
+function jcalArrayEventProperties(data) {
+  const components = Array.isArray(data[2]) ? data[2] : [];
+  return components
+    .filter(c => Array.isArray(c) && String(c[0]).toLowerCase() === 'vevent')
+    .map(c => (Array.isArray(c[1]) ? c[1] : [])
+      .filter(p => Array.isArray(p) && p[0])
+      .flatMap(([name, params, type, ...values]) => {
+        const upper = String(name).toUpperCase();
+        if (type === 'recur') return [{ name: upper, params: params || {}, value: recurToString(values[0]) }];
+        if (upper === 'RDATE' || upper === 'EXDATE') {
+          return values.map(value => ({ name: upper, params: { ...params, value: type }, value: String(value) }));
+        }
+        return [{ name: upper, params: { ...(params || {}), value: type }, value: values.length > 1 ? values.join(',') : values[0] }];
+      }));
+}
+
+// 1823 object form: { dtstart: ['20240101', { value: 'DATE' }], summary: '…' }
+function jcalObjectEventProperties(vevent) {
+  const props = [];
+  for (const [key, raw] of Object.entries(vevent || {})) {
+    const [name, ...inlineParams] = key.toUpperCase().split(';');
+    const baseParams = Object.fromEntries(inlineParams.map(p => {
+      const [k, v] = p.split('=');
+      return [k.toLowerCase(), v];
+    }));
+    const isPair = Array.isArray(raw) && raw.length === 2 && raw[1] && typeof raw[1] === 'object' && !Array.isArray(raw[1]);
+    const entries = isPair ? [raw] : Array.isArray(raw) ? raw : [raw];
+    for (const entry of entries) {
+      const [value, params] = Array.isArray(entry) ? entry : [entry, {}];
+      const v = typeof value === 'object' && value !== null ? recurToString(value) : value;
+      props.push({ name, params: { ...baseParams, ...(params || {}) }, value: v });
+    }
+  }
+  return props;
+}
+
+// ---------- Events ----------
+
+function toEvent(props, utcOffsetHours) {
+  const ev = { uid: '', summary: '', description: '', categories: [], start: '', end: '', allDay: true, tzid: '', rrule: '', rdate: [], exdate: [] };
+  for (const { name, params, value } of props) {
+    switch (name) {
+      case 'UID': ev.uid = String(value); break;
+      case 'SUMMARY': case 'TITLE': case 'NAME': ev.summary = unescapeText(value).trim(); break;
+      case 'DESCRIPTION': ev.description = unescapeText(value).trim(); break;
+      case 'CATEGORIES': ev.categories.push(...splitList(value).map(unescapeText)); break;
+      case 'DTSTART': case 'DATE': {
+        const d = parseDateValue(value, params, utcOffsetHours);
+        if (d) Object.assign(ev, { start: d.date, allDay: d.allDay, tzid: d.tzid });
+        break;
+      }
+      case 'DTEND': {
+        const d = parseDateValue(value, params, utcOffsetHours);
+        if (d) ev.end = d.allDay ? d.date : (d.time === '00:00' ? d.date : addDays(d.date, 1));
+        break;
+      }
+      case 'RRULE': ev.rrule = String(value).replace(/^RRULE:/i, ''); break;
+      case 'RDATE': case 'EXDATE':
+        for (const v of splitList(value)) {
+          const d = parseDateValue(v, params, utcOffsetHours);
+          if (d) ev[name.toLowerCase()].push(d.date);
+        }
+        break;
+      default:
+        if (name.startsWith('X-')) ev[name.toLowerCase()] = unescapeText(value);
+    }
+  }
+  if (!ev.start) return null;
+  if (!ev.end || ev.end <= ev.start) ev.end = addDays(ev.start, 1);
+  return ev;
+}
+
+// Events from ICS text, JSON text, or already-parsed jCal / list data.
+export function readCalendar(input, { utcOffsetHours = DEFAULT_UTC_OFFSET_HOURS } = {}) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim();
+    if (!text) return [];
+    if (/^BEGIN:VCALENDAR/i.test(text)) {
+      return icsEventProperties(text).map(p => toEvent(p, utcOffsetHours)).filter(Boolean);
+    }
+    data = JSON.parse(text);
+  }
+  if (!data) return [];
+
+  let propLists;
+  if (Array.isArray(data) && String(data[0]).toLowerCase() === 'vcalendar') {
+    propLists = jcalArrayEventProperties(data);
+  } else if (Array.isArray(data?.vcalendar)) {
+    propLists = data.vcalendar.flatMap(cal => (cal?.vevent || []).map(jcalObjectEventProperties));
+  } else if (Array.isArray(data)) {
+    propLists = data.filter(x => x && typeof x === 'object').map(jcalObjectEventProperties);
+  } else {
+    return [];
+  }
+  return propLists.map(p => toEvent(p, utcOffsetHours)).filter(Boolean);
+}
+
+// ---------- Expansion ----------
+
+function resolveRange(range, ev) {
+  const from = toISODate(range?.from) || (range?.from ? `${range.from}-01-01` : ev.start);
+  const to = toISODate(range?.to) || (range?.to ? `${range.to}-12-31` : `${Number(ev.start.slice(0, 4)) + DEFAULT_RANGE_YEARS}-12-31`);
+  return { from, to };
+}
+
+function ruleOccurrences(ev, from, to) {
+  const options = RRule.parseString(ev.rrule);
+  options.dtstart = parseISO(ev.start);
+  if (options.until) options.until = new Date(Date.UTC(options.until.getUTCFullYear(), options.until.getUTCMonth(), options.until.getUTCDate()));
+  const rule = new RRule(options);
+  // Occurrences that start before `from` can still span into the range.
+  const spanDays = Math.round((parseISO(ev.end) - parseISO(ev.start)) / 86400000);
+  return rule.between(parseISO(addDays(from, -spanDays)), parseISO(to), true).map(formatISO);
+}
+
+// Calendar days ('YYYY-MM-DD', sorted) covered by an event within [from, to].
+// range: { from, to } as dates or years; defaults to ten years from DTSTART.
+export function expandEvent(ev, range) {
+  const { from, to } = resolveRange(range, ev);
+  const starts = new Set([ev.start, ...ev.rdate]);
+  if (ev.rrule) ruleOccurrences(ev, from, to).forEach(d => starts.add(d));
+  ev.exdate.forEach(d => starts.delete(d));
+
+  const spanDays = Math.max(1, Math.round((parseISO(ev.end) - parseISO(ev.start)) / 86400000));
+  const days = new Set();
+  for (const s of starts) {
+    for (let i = 0; i < spanDays; i++) {
+      const d = addDays(s, i);
+      if (d >= from && d <= to) days.add(d);
+    }
+  }
+  return [...days].sort();
+}
+
+// One { date, summary, uid, … } entry per day covered by each event.
+export function calendarEntries(events, range) {
+  const out = [];
+  for (const ev of events) {
+    for (const date of expandEvent(ev, range)) {
+      out.push({ date, summary: ev.summary, description: ev.description, categories: ev.categories, uid: ev.uid });
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,112 @@
+// iCalendar (RFC 5545) export of holiday records, for Outlook / Google Calendar
+// subscriptions.  One all-day VEVENT per record with a UID built from the date,
+// the holiday (lib/identity.js, or the record type for other days), the entity
+// and the region; not the source, so re-publishing updates events instead of
+// duplicating them, even when an official entry replaces a provisional one.
+// Statutory days carry CATEGORIES:Statutory Holiday and X-STATUTORY:TRUE; the
+// record type (lib/types.js) goes into CATEGORIES and X-HOLIDAY-TYPE.
+
+import { addDays } from './dates.js';
+import { escapeText } from './ical.js';
+import { holidayIdentity } from './identity.js';
+import { regionOf } from './regions.js';
+import { holidayType, TYPE_LABELS, typeLabel } from './types.js';
+
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space,
+// without splitting a UTF-8 sequence.
+export function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    const limit = out.length ? 74 : 75;
+    if (size + n > limit) { out.push(cur); cur = ''; size = 0; }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join(`${CRLF} `);
+}
+
+const compact = iso => iso.replace(/-/g, '');
+const slug = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// '20251226-christmas-sub-hk-office-hk': the same day keeps its UID whichever
+// source it came from.
+function uidOf(h) {
+  const id = holidayIdentity(h);
+  const key = id ? `${id.key}${id.substitute ? '-sub' : ''}` : holidayType(h);
+  return [compact(h.date), key, h.entity, regionOf(h)].filter(Boolean).map(slug).join('-');
+}
+
+function stampOf(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function summaryOf(h, lang) {
+  const [first, second] = lang === 'zh' ? [h.name_zh, h.name_en] : [h.name_en, h.name_zh];
+  const summary = [first, second].filter(Boolean).join(' / ');
+  const type = holidayType(h);
+  return type === 'half_day' || type === 'closure' || type === 'workday' ? `${summary} – ${typeLabel(h, lang)}` : summary;
+}
+
+function categoriesOf(h) {
+  const cats = h.statutory ? [TYPE_LABELS.statutory.en] : [];
+  return [...cats, TYPE_LABELS[holidayType(h)].en];
+}
+
+function descriptionOf(h) {
+  const lines = [];
+  if (h.name_en) lines.push(`English: ${h.name_en}`);
+  if (h.name_zh) lines.push(`中文: ${h.name_zh}`);
+  lines.push(`${typeLabel(h, 'en')} ${typeLabel(h, 'zh')}`);
+  if (h.provisional) lines.push('Provisional — not yet gazetted 暫定');
+  if (h.source) lines.push(`Source: ${h.source}`);
+  return lines.join('\n');
+}
+
+// options: lang ('en' | 'zh', decides which name leads the SUMMARY), calName,
+// dtstamp (Date, defaults to now).
+export function toICS(records, { lang = 'en', calName, dtstamp = new Date() } = {}) {
+  const name = calName || (lang === 'zh' ? '香港公眾假期' : 'Hong Kong Holidays');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//hk-holidays//Hong Kong Holidays//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Hong_Kong',
+  ];
+  const stamp = stampOf(dtstamp);
+  const seen = new Map();
+  for (const h of records) {
+    let uid = uidOf(h);
+    const n = seen.get(uid) || 0;
+    seen.set(uid, n + 1);
+    if (n) uid += `-${n + 1}`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@hk-holidays`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(h.date)}`,
+      `DTEND;VALUE=DATE:${compact(addDays(h.date, 1))}`,
+      `SUMMARY:${escapeText(summaryOf(h, lang))}`,
+      `DESCRIPTION:${escapeText(descriptionOf(h))}`,
+      `CATEGORIES:${categoriesOf(h).map(escapeText).join(',')}`,
+      `X-STATUTORY:${h.statutory ? 'TRUE' : 'FALSE'}`,
+      `X-HOLIDAY-TYPE:${holidayType(h).toUpperCase()}`,
+      `STATUS:${h.provisional ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,119 @@
+// Holiday identity: which ordinance holiday a record stands for, independent
+// of its date and of the exact wording a feed used.
+//
+//   'Ching Ming Festival'                  → { key: 'ching_ming', substitute: false }
+//   'The day following Ching Ming Festival' → { key: 'ching_ming', substitute: true }
+//   '重陽節翌日'                            → { key: 'chung_yeung', substitute: true }
+//
+// "The day following Good Friday" and "The day following the Chinese
+// Mid-Autumn Festival" are holidays in their own right, not substitutes.
+
+export const HOLIDAY_KEYS = {
+  new_year: { name_en: 'The first day of January', name_zh: '一月一日' },
+  lny_1: { name_en: 'Lunar New Year’s Day', name_zh: '農曆年初一' },
+  lny_2: { name_en: 'The second day of Lunar New Year', name_zh: '農曆年初二' },
+  lny_3: { name_en: 'The third day of Lunar New Year', name_zh: '農曆年初三' },
+  lny_4: { name_en: 'The fourth day of Lunar New Year', name_zh: '農曆年初四' },
+  ching_ming: { name_en: 'Ching Ming Festival', name_zh: '清明節' },
+  good_friday: { name_en: 'Good Friday', name_zh: '耶穌受難節' },
+  good_friday_following: { name_en: 'The day following Good Friday', name_zh: '耶穌受難節翌日' },
+  easter_monday: { name_en: 'Easter Monday', name_zh: '復活節星期一' },
+  labour_day: { name_en: 'Labour Day', name_zh: '勞動節' },
+  buddha: { name_en: 'The Birthday of the Buddha', name_zh: '佛誕' },
+  tuen_ng: { name_en: 'Tuen Ng Festival', name_zh: '端午節' },
+  hksar: { name_en: 'Hong Kong Special Administrative Region Establishment Day', name_zh: '香港特別行政區成立紀念日' },
+  mid_autumn_following: { name_en: 'The day following the Chinese Mid-Autumn Festival', name_zh: '中秋節翌日' },
+  national_day: { name_en: 'National Day', name_zh: '國慶日' },
+  chung_yeung: { name_en: 'Chung Yeung Festival', name_zh: '重陽節' },
+  christmas: { name_en: 'Christmas Day', name_zh: '聖誕節' },
+  christmas_weekday_1: { name_en: 'The first weekday after Christmas Day', name_zh: '聖誕節後第一個周日' },
+  christmas_weekday_2: { name_en: 'The second weekday after Christmas Day', name_zh: '聖誕節後第二個周日' },
+};
+
+// Checked in order; the first match wins.
+const EN_PATTERNS = [
+  [/second day following the chinese mid-autumn/, 'mid_autumn_following', true],
+  [/^day following the chinese mid-autumn/, 'mid_autumn_following', false],
+  [/^day following good friday$/, 'good_friday_following', false],
+  [/first day of january/, 'new_year'],
+  [/lunar new year'?s day/, 'lny_1'],
+  [/second day of (the )?lunar new year/, 'lny_2'],
+  [/third day of (the )?lunar new year/, 'lny_3'],
+  [/fourth day of (the )?lunar new year/, 'lny_4'],
+  [/ching ming/, 'ching_ming'],
+  [/^good friday$/, 'good_friday'],
+  [/easter monday/, 'easter_monday'],
+  [/labour day/, 'labour_day'],
+  [/birthday of (the )?buddha/, 'buddha'],
+  [/tuen ng/, 'tuen_ng'],
+  [/establishment day/, 'hksar'],
+  [/national day/, 'national_day'],
+  [/chung yeung/, 'chung_yeung'],
+  [/first weekday after christmas/, 'christmas_weekday_1'],
+  [/second weekday after christmas/, 'christmas_weekday_2'],
+  [/christmas day/, 'christmas'],
+];
+
+const ZH_PATTERNS = [
+  [/中秋節後第二日/, 'mid_autumn_following', true],
+  [/^中秋節翌日$/, 'mid_autumn_following', false],
+  [/^耶穌受難節翌日$/, 'good_friday_following', false],
+  [/一月一日/, 'new_year'],
+  [/(農曆)?年初一/, 'lny_1'],
+  [/(農曆)?年初二/, 'lny_2'],
+  [/(農曆)?年初三/, 'lny_3'],
+  [/(農曆)?年初四/, 'lny_4'],
+  [/清明/, 'ching_ming'],
+  [/^耶穌受難節$/, 'good_friday'],
+  [/復活節星期一/, 'easter_monday'],
+  [/勞動節/, 'labour_day'],
+  [/佛誕/, 'buddha'],
+  [/端午/, 'tuen_ng'],
+  [/成立紀念日/, 'hksar'],
+  [/國慶/, 'national_day'],
+  [/重陽/, 'chung_yeung'],
+  [/聖誕節後第一個/, 'christmas_weekday_1'],
+  [/聖誕節後第二個/, 'christmas_weekday_2'],
+  [/聖誕/, 'christmas'],
+];
+
+function normalizeEn(name) {
+  return String(name || '').toLowerCase().replace(/[’‘`]/g, '\'').replace(/\s+/g, ' ').trim().replace(/^the /, '');
+}
+
+function match(patterns, text) {
+  for (const [re, key, substitute] of patterns) {
+    if (re.test(text)) return { key, substitute: Boolean(substitute) };
+  }
+  return null;
+}
+
+function fromEnglish(name) {
+  const n = normalizeEn(name);
+  if (!n) return null;
+  const direct = match(EN_PATTERNS.slice(0, 3), n);
+  if (direct) return direct;
+  const following = n.match(/^day following (.+)$/);
+  if (following) {
+    const base = match(EN_PATTERNS, normalizeEn(following[1]));
+    return base ? { key: base.key, substitute: true } : null;
+  }
+  return match(EN_PATTERNS, n);
+}
+
+function fromChinese(name) {
+  const n = String(name || '').replace(/\s+/g, '');
+  if (!n) return null;
+  const direct = match(ZH_PATTERNS.slice(0, 3), n);
+  if (direct) return direct;
+  if (n.endsWith('翌日')) {
+    const base = match(ZH_PATTERNS, n.slice(0, -2));
+    return base ? { key: base.key, substitute: true } : null;
+  }
+  return match(ZH_PATTERNS, n);
+}
+
+// { key, substitute } or null when neither name is a known general holiday.
+export function holidayIdentity(h) {
+  return fromEnglish(h?.name_en) || fromChinese(h?.name_zh);
+}
@@ -0,0 +1,128 @@
+// Leave planning: which working days to take off so that a limited number of
+// leave days joins weekends and holidays into the longest breaks.
+//
+// Days off are weekend days and holidays, with the same weekend /
+// statutoryOnly / halfDays options as lib/business-days.js; a half day is a
+// working day unless halfDays is 'off'.  A break is a run of consecutive days
+// off that contains at least one leave day.
+//
+// planLeave() only spends leave on bridges: every working day between two
+// runs of days off, so a proposal never leaves a single leave day stranded
+// next to a weekend.  Among the proposals that fit the budget it picks the
+// one with the most days in breaks, then the one using fewer leave days.
+// Leave that cannot complete a bridge is reported as `unused`.
+
+import { addDays, daysBetween, yearOf } from './dates.js';
+import { createBusinessCalendar } from './business-days.js';
+
+function daysOfYear(year) {
+  const days = [];
+  for (let d = `${year}-01-01`; d <= `${year}-12-31`; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+const daysFrom = (a, b) => daysBetween(a, b) + 1;
+
+function requireYear(year) {
+  const y = Number(year);
+  if (!Number.isInteger(y) || y < 1900 || y > 9999) throw new TypeError(`Invalid year: ${year}`);
+  return y;
+}
+
+// Runs of consecutive days for which `off(day)` is true, as [{ start, end, days }].
+function runs(days, off) {
+  const list = [];
+  for (const d of days) {
+    const last = list[list.length - 1];
+    if (!off(d)) continue;
+    if (last && addDays(last.end, 1) === d) {
+      last.end = d;
+      last.days++;
+    } else {
+      list.push({ start: d, end: d, days: 1 });
+    }
+  }
+  return list;
+}
+
+// Breaks formed by `leaveDays` in `year`.  Leave on days that are already off
+// (or outside the year) is listed in `ignored` rather than counted.
+export function leaveBreaks(data, leaveDays, { year, ...options } = {}) {
+  const y = requireYear(year ?? yearOf([...leaveDays].sort()[0]));
+  const business = createBusinessCalendar(data, options);
+  const days = daysOfYear(y);
+  const asked = new Set(leaveDays);
+  const leave = days.filter(d => asked.has(d) && business.isBusinessDay(d));
+  const taken = new Set(leave);
+  const ignored = [...asked].filter(d => !taken.has(d)).sort();
+  const isOff = d => taken.has(d) || !business.isBusinessDay(d);
+
+  const breaks = runs(days, isOff)
+    .map(r => ({ ...r, leave: leave.filter(d => d >= r.start && d <= r.end) }))
+    .filter(r => r.leave.length);
+  return {
+    year: y,
+    leaveDays: leave,
+    ignored,
+    leaveUsed: leave.length,
+    daysOff: days.filter(isOff).length,
+    breaks,
+    longest: breaks.reduce((n, b) => Math.max(n, b.days), 0),
+  };
+}
+
+// { year, budget, weekend?, statutoryOnly?, halfDays? } → leaveBreaks() of the best
+// proposal, plus budget and unused.
+export function planLeave(data, { year, budget, ...options } = {}) {
+  const y = requireYear(year);
+  if (!Number.isInteger(budget) || budget < 0) throw new TypeError(`budget must be a whole number of days, got ${budget}`);
+  const business = createBusinessCalendar(data, options);
+  const days = daysOfYear(y);
+  const blocks = runs(days, d => !business.isBusinessDay(d));
+  // gaps[k]: working days between blocks[k] and blocks[k + 1].
+  const gaps = blocks.slice(0, -1).map((b, k) => {
+    const list = [];
+    for (let d = addDays(b.end, 1); d < blocks[k + 1].start; d = addDays(d, 1)) list.push(d);
+    return list;
+  });
+  // More leave than there are bridge days changes nothing.
+  const spend = Math.min(budget, gaps.reduce((n, g) => n + g.length, 0));
+
+  // best[k][b]: best choice of bridges among blocks k… with b leave days left,
+  // as { value, leave, bridge: [k, j] | null }.
+  const none = { value: 0, leave: 0, bridge: null };
+  const best = Array.from({ length: blocks.length + 1 }, () => []);
+  const better = (a, b) => a.value > b.value || (a.value === b.value && a.leave < b.leave);
+  for (let k = blocks.length - 1; k >= 0; k--) {
+    for (let b = 0; b <= spend; b++) {
+      let choice = { ...(best[k + 1][b] || none), bridge: null };
+      let cost = 0;
+      for (let j = k + 1; j < blocks.length; j++) {
+        cost += gaps[j - 1].length;
+        if (cost > b) break;
+        const rest = best[j + 1][b - cost] || none;
+        // The break runs from the start of block k to the end of block j.
+        const value = daysFrom(blocks[k].start, blocks[j].end) + rest.value;
+        const option = { value, leave: cost + rest.leave, bridge: [k, j] };
+        if (better(option, choice)) choice = option;
+      }
+      best[k][b] = choice;
+    }
+  }
+
+  const leave = [];
+  for (let k = 0, b = spend; k < blocks.length;) {
+    const { bridge } = best[k][b];
+    if (!bridge) {
+      k++;
+      continue;
+    }
+    const [from, to] = bridge;
+    for (let g = from; g < to; g++) leave.push(...gaps[g]);
+    b -= gaps.slice(from, to).reduce((n, g) => n + g.length, 0);
+    k = to + 1;
+  }
+
+  const result = leaveBreaks(data, leave, { year: y, ...options });
+  return { ...result, budget, unused: budget - result.leaveUsed };
+}
@@ -0,0 +1,242 @@
+// Chinese lunisolar calendar and the 24 solar terms, computed offline.
+//
+// Both follow the rules of the Purple Mountain Observatory / HKO calendars
+// (GB/T 33661-2017), in China Standard Time (UTC+8):
+//
+//   • a lunar month starts on the day of a new moon, computed with the
+//     periodic terms of Meeus, Astronomical Algorithms ch. 49 (within a
+//     minute or so of the true time);
+//   • the month containing the winter solstice (冬至) is the 11th month;
+//   • when 13 months start between two 11th months, the first of them with
+//     no principal term (中氣, the terms at multiples of 30°) is a leap month
+//     and repeats the previous month's number.
+//
+// Solar terms are computed from the Sun's apparent longitude (Meeus ch. 25),
+// accurate to a few minutes.  A new moon or term within a minute or two of
+// midnight can still land on the wrong day; the published dates of those
+// years are checked by test/lunar.test.js.  ICU's Chinese calendar
+// (Intl '-u-ca-chinese') is not used: it puts 2027 and 2030 a day off.
+
+import { addDays, daysBetween, formatISO, yearOf } from './dates.js';
+
+// Hong Kong / China Standard Time, the reference for both calendars.
+const TZ_OFFSET_HOURS = 8;
+
+const RAD = Math.PI / 180;
+const JD_UNIX_EPOCH = 2440587.5;
+// TT − UT in days; ~69 s for the 2020s, the drift is negligible at this accuracy.
+const DELTA_T_DAYS = 69 / 86400;
+
+// Julian Day (UT) → Hong Kong calendar date.
+function localDate(jd) {
+  return formatISO(new Date((jd - JD_UNIX_EPOCH) * 86400000 + TZ_OFFSET_HOURS * 3600000));
+}
+
+// Meeus ch. 49: periodic terms of the new moon, [coefficient, power of E,
+// multiples of M, M', F, Ω].
+const NEW_MOON_TERMS = [
+  [-0.40720, 0, 0, 1, 0, 0],
+  [0.17241, 1, 1, 0, 0, 0],
+  [0.01608, 0, 0, 2, 0, 0],
+  [0.01039, 0, 0, 0, 2, 0],
+  [0.00739, 1, -1, 1, 0, 0],
+  [-0.00514, 1, 1, 1, 0, 0],
+  [0.00208, 2, 2, 0, 0, 0],
+  [-0.00111, 0, 0, 1, -2, 0],
+  [-0.00057, 0, 0, 1, 2, 0],
+  [0.00056, 1, 1, 2, 0, 0],
+  [-0.00042, 0, 0, 3, 0, 0],
+  [0.00042, 1, 1, 0, 2, 0],
+  [0.00038, 1, 1, 0, -2, 0],
+  [-0.00024, 1, -1, 2, 0, 0],
+  [-0.00017, 0, 0, 0, 0, 1],
+  [-0.00007, 0, 2, 1, 0, 0],
+  [0.00004, 0, 0, 2, -2, 0],
+  [0.00004, 0, 3, 0, 0, 0],
+  [0.00003, 0, 1, 1, -2, 0],
+  [0.00003, 0, 0, 2, 2, 0],
+  [-0.00003, 0, 1, 1, 2, 0],
+  [0.00003, 0, -1, 1, 2, 0],
+  [-0.00002, 0, -1, 1, -2, 0],
+  [-0.00002, 0, 1, 3, 0, 0],
+  [0.00002, 0, 0, 4, 0, 0],
+];
+
+// Additional corrections: [coefficient, A at k = 0, degrees per lunation, T² term].
+const PLANETARY_TERMS = [
+  [0.000325, 299.77, 0.107408, -0.009173], [0.000165, 251.88, 0.016321], [0.000164, 251.83, 26.651886],
+  [0.000126, 349.42, 36.412478], [0.000110, 84.66, 18.206239], [0.000062, 141.74, 53.303771],
+  [0.000060, 207.14, 2.453732], [0.000056, 154.84, 7.306860], [0.000047, 34.52, 27.261239],
+  [0.000042, 207.19, 0.121824], [0.000040, 291.34, 1.844379], [0.000037, 161.72, 24.198154],
+  [0.000035, 239.56, 25.513099], [0.000023, 331.55, 3.592518],
+];
+
+// Julian Day (UT) of new moon number k, counted from 6 January 2000.
+function newMoon(k) {
+  const t = k / 1236.85;
+  let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * t ** 2 - 0.00000015 * t ** 3 + 0.00000000073 * t ** 4;
+  const e = 1 - 0.002516 * t - 0.0000074 * t ** 2;
+  const m = (2.5534 + 29.1053567 * k - 0.0000014 * t ** 2 - 0.00000011 * t ** 3) * RAD;
+  const mp = (201.5643 + 385.81693528 * k + 0.0107582 * t ** 2 + 0.00001238 * t ** 3 - 0.000000058 * t ** 4) * RAD;
+  const f = (160.7108 + 390.67050284 * k - 0.0016118 * t ** 2 - 0.00000227 * t ** 3 + 0.000000011 * t ** 4) * RAD;
+  const omega = (124.7746 - 1.56375588 * k + 0.0020672 * t ** 2 + 0.00000215 * t ** 3) * RAD;
+  for (const [c, ePower, nm, nmp, nf, no] of NEW_MOON_TERMS) {
+    jde += c * e ** ePower * Math.sin(nm * m + nmp * mp + nf * f + no * omega);
+  }
+  for (const [c, a0, rate, t2 = 0] of PLANETARY_TERMS) jde += c * Math.sin((a0 + rate * k + t2 * t ** 2) * RAD);
+  return jde - DELTA_T_DAYS;
+}
+
+// Start date of the lunar month containing `iso`.
+function monthStart(iso) {
+  let k = Math.floor(daysBetween('2000-01-06', iso) / 29.530588861);
+  while (localDate(newMoon(k + 1)) <= iso) k++;
+  while (localDate(newMoon(k)) > iso) k--;
+  return { k, date: localDate(newMoon(k)) };
+}
+
+// Months from the 11th month of lunar year `year` - 1 to the month before the
+// next 11th month: [{ start, year, month, leap }], `year` being the Gregorian
+// year in which the month's lunar year begins.
+const suiCache = new Map();
+function lunarMonthsOfSui(year) {
+  if (suiCache.has(year)) return suiCache.get(year);
+  const first = monthStart(solarTermDate(year - 1, 270));
+  const next = monthStart(solarTermDate(year, 270));
+  const starts = [];
+  for (let k = first.k; k <= next.k; k++) starts.push(localDate(newMoon(k)));
+  const leapYear = starts.length === 14;
+  const principal = leapYear
+    ? [year - 1, year].flatMap(y => SOLAR_TERMS.filter(t => t.longitude % 30 === 0).map(t => solarTermDate(y, t.longitude)))
+    : [];
+
+  const months = [];
+  let month = 10;
+  let leapFound = false;
+  for (let i = 0; i < starts.length - 1; i++) {
+    const [start, end] = [starts[i], starts[i + 1]];
+    const leap = leapYear && !leapFound && !principal.some(d => d >= start && d < end);
+    if (leap) leapFound = true;
+    else month = month % 12 + 1;
+    months.push({ start, year: month >= 11 ? year - 1 : year, month, leap });
+  }
+  suiCache.set(year, months);
+  return months;
+}
+
+// { year, month, day, leap } for a Gregorian 'YYYY-MM-DD'.  year is the
+// Gregorian year in which that lunar year begins.
+export function lunarDate(iso) {
+  const y = yearOf(iso);
+  const months = [...lunarMonthsOfSui(y), ...lunarMonthsOfSui(y + 1)];
+  const m = months.filter(x => x.start <= iso).pop();
+  return { year: m.year, month: m.month, day: daysBetween(m.start, iso) + 1, leap: m.leap };
+}
+
+// Lunar New Year's Day always falls between 21 January and 20 February.
+export function lunarNewYear(year) {
+  const m = lunarMonthsOfSui(Number(year)).find(x => x.month === 1 && !x.leap);
+  if (!m) throw new Error(`Could not locate Lunar New Year ${year}`);
+  return m.start;
+}
+
+// Gregorian date of a (non-leap by default) lunar month/day in lunar year
+// `year`, or '' when that month has no such day (or no such leap month).
+export function lunarToSolar(year, month, day, leap = false) {
+  year = Number(year);
+  const months = [...lunarMonthsOfSui(year), ...lunarMonthsOfSui(year + 1)];
+  const i = months.findIndex(x => x.year === year && x.month === month && x.leap === leap);
+  if (i < 0 || !months[i + 1]) return '';
+  const date = addDays(months[i].start, day - 1);
+  return day >= 1 && date < months[i + 1].start ? date : '';
+}
+
+const LUNAR_DAYS_ZH = [
+  '初一', '初二', '初三', '初四', '初五', '初六', '初七', '初八', '初九', '初十',
+  '十一', '十二', '十三', '十四', '十五', '十六', '十七', '十八', '十九', '二十',
+  '廿一', '廿二', '廿三', '廿四', '廿五', '廿六', '廿七', '廿八', '廿九', '三十',
+];
+const LUNAR_MONTHS_ZH = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '十一', '十二'];
+
+// '正月', '閏四月', '初一', '十五' …
+export function lunarMonthName(month, leap = false) {
+  return `${leap ? '閏' : ''}${LUNAR_MONTHS_ZH[month - 1]}月`;
+}
+
+export function lunarDayName(day) {
+  return LUNAR_DAYS_ZH[day - 1];
+}
+
+// '八月初十', '閏六月初一' for a Gregorian 'YYYY-MM-DD'.
+export function lunarDateName(iso) {
+  const l = lunarDate(iso);
+  return `${lunarMonthName(l.month, l.leap)}${lunarDayName(l.day)}`;
+}
+
+// Calendar-cell label: the month name on the first day ('閏六月'), else the
+// day ('十五').
+export function lunarDayLabel(iso) {
+  const l = lunarDate(iso);
+  return l.day === 1 ? lunarMonthName(l.month, l.leap) : lunarDayName(l.day);
+}
+
+// ---------- Solar terms ----------
+
+// In calendar order, starting with 小寒 (285°) in early January.
+export const SOLAR_TERMS = [
+  { longitude: 285, name_zh: '小寒', name_en: 'Minor Cold' },
+  { longitude: 300, name_zh: '大寒', name_en: 'Major Cold' },
+  { longitude: 315, name_zh: '立春', name_en: 'Start of Spring' },
+  { longitude: 330, name_zh: '雨水', name_en: 'Rain Water' },
+  { longitude: 345, name_zh: '驚蟄', name_en: 'Awakening of Insects' },
+  { longitude: 0, name_zh: '春分', name_en: 'Spring Equinox' },
+  { longitude: 15, name_zh: '清明', name_en: 'Pure Brightness' },
+  { longitude: 30, name_zh: '穀雨', name_en: 'Grain Rain' },
+  { longitude: 45, name_zh: '立夏', name_en: 'Start of Summer' },
+  { longitude: 60, name_zh: '小滿', name_en: 'Grain Buds' },
+  { longitude: 75, name_zh: '芒種', name_en: 'Grain in Ear' },
+  { longitude: 90, name_zh: '夏至', name_en: 'Summer Solstice' },
+  { longitude: 105, name_zh: '小暑', name_en: 'Minor Heat' },
+  { longitude: 120, name_zh: '大暑', name_en: 'Major Heat' },
+  { longitude: 135, name_zh: '立秋', name_en: 'Start of Autumn' },
+  { longitude: 150, name_zh: '處暑', name_en: 'End of Heat' },
+  { longitude: 165, name_zh: '白露', name_en: 'White Dew' },
+  { longitude: 180, name_zh: '秋分', name_en: 'Autumn Equinox' },
+  { longitude: 195, name_zh: '寒露', name_en: 'Cold Dew' },
+  { longitude: 210, name_zh: '霜降', name_en: 'Frost\'s Descent' },
+  { longitude: 225, name_zh: '立冬', name_en: 'Start of Winter' },
+  { longitude: 240, name_zh: '小雪', name_en: 'Minor Snow' },
+  { longitude: 255, name_zh: '大雪', name_en: 'Major Snow' },
+  { longitude: 270, name_zh: '冬至', name_en: 'Winter Solstice' },
+];
+
+function sunLongitude(jd) {
+  const t = (jd + DELTA_T_DAYS - 2451545) / 36525;
+  const l0 = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+  const m = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * RAD;
+  const c = (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(m)
+    + (0.019993 - 0.000101 * t) * Math.sin(2 * m)
+    + 0.000289 * Math.sin(3 * m);
+  const omega = (125.04 - 1934.136 * t) * RAD;
+  const lambda = l0 + c - 0.00569 - 0.00478 * Math.sin(omega);
+  return ((lambda % 360) + 360) % 360;
+}
+
+// Hong Kong calendar date on which the Sun reaches `longitude` in `year`.
+export function solarTermDate(year, longitude) {
+  // Rough guess: 0° (spring equinox) is around 20 March, ~0.9856°/day.
+  const approx = Date.UTC(year, 2, 20) + ((((longitude % 360) + 360) % 360) / 0.9856) * 86400000;
+  let jd = approx / 86400000 + JD_UNIX_EPOCH;
+  if (longitude >= 285) jd -= 365.2422; // 小寒 / 大寒 / 立春 … land in January–March
+  for (let i = 0; i < 10; i++) {
+    const diff = ((longitude - sunLongitude(jd) + 540) % 360) - 180;
+    jd += diff / 0.9856;
+    if (Math.abs(diff) < 1e-6) break;
+  }
+  return localDate(jd);
+}
+
+// All 24 terms of a Gregorian year, in date order.
+export function solarTerms(year) {
+  return SOLAR_TERMS.map(t => ({ ...t, date: solarTermDate(year, t.longitude) }));
+}
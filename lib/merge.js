@@ -0,0 +1,145 @@
+// Merging holiday sources with explicit priority, per-field provenance and a
+// conflict report.
+//
+// A source is { id, kind, stamp?, override?, records: [{ date, name_en?, name_zh? }] }:
+//   id        file path or URL, as reported in provenance and conflicts
+//   kind      'local' | '1823' | 'govhk' — ranked by the priority list
+//   stamp     'YYYYMMDD-HHMM' for dated snapshots; within a kind newer wins, and
+//             undated files (a freshly saved en.json) count as newest
+//   override  adds or renames dates but never decides which dates a year has
+//             (hand-written local corrections that list only a few days)
+//
+// For each year the best-ranked non-override source that covers it decides
+// the dates; each name then comes from the best-ranked source that has one.
+// The record type (lib/types.js) comes from the source that supplied the date,
+// so a Mainland notice can list its adjusted working days.
+// Disagreements are reported, not hidden:
+//   date  a date some sources covering the year list and others do not
+//   name  sources give different names for the same date and language
+
+import { yearOf } from './dates.js';
+import { holidayType } from './types.js';
+
+export const DEFAULT_SOURCE_PRIORITY = ['local', '1823', 'govhk'];
+const LANGS = ['en', 'zh'];
+
+function clean(name) {
+  return String(name || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Names that differ only in spacing, quote style or case are the same name.
+function comparable(name) {
+  return clean(name).replace(/[’‘`]/g, '\'').toLowerCase();
+}
+
+const newest = s => s.stamp || '99999999-9999';
+
+// Best first: priority of the kind, overrides before the rest, newest stamp.
+export function rankSources(sources, priority = DEFAULT_SOURCE_PRIORITY) {
+  const rank = kind => {
+    const i = priority.indexOf(kind);
+    return i === -1 ? priority.length : i;
+  };
+  return [...sources].sort((a, b) =>
+    rank(a.kind) - rank(b.kind)
+    || Number(Boolean(b.override)) - Number(Boolean(a.override))
+    || newest(b).localeCompare(newest(a)));
+}
+
+function indexSource(source) {
+  const byDate = new Map();
+  for (const h of source.records) {
+    if (!h?.date) continue;
+    byDate.set(h.date, { ...byDate.get(h.date), ...h });
+  }
+  return { source, byDate, years: new Set([...byDate.keys()].map(yearOf)) };
+}
+
+// Returns { records, provenance: { date: { date, name_en, name_zh } → source id },
+// conflicts: [...], sources: [{ id, kind, stamp, override, rank }] }.
+export function mergeSources(sources, { priority = DEFAULT_SOURCE_PRIORITY } = {}) {
+  const ranked = rankSources(sources, priority).map(indexSource);
+  const years = [...new Set(ranked.flatMap(s => [...s.years]))].sort((a, b) => a - b);
+  const records = [];
+  const provenance = {};
+  const conflicts = [];
+
+  for (const year of years) {
+    const covering = ranked.filter(s => !s.source.override && s.years.has(year));
+    const overrides = ranked.filter(s => s.source.override && s.years.has(year));
+    const decider = covering[0] || overrides[0];
+    const inYear = s => [...s.byDate.keys()].filter(d => yearOf(d) === year);
+    const kept = new Set([...inYear(decider), ...overrides.flatMap(inYear)]);
+
+    const allDates = new Set([...covering, ...overrides].flatMap(inYear));
+    for (const date of [...allDates].sort()) {
+      const presentIn = covering.filter(s => s.byDate.has(date)).map(s => s.source.id);
+      const missingIn = covering.filter(s => !s.byDate.has(date)).map(s => s.source.id);
+      if (presentIn.length && missingIn.length) {
+        conflicts.push({ kind: 'date', year, date, presentIn, missingIn, kept: kept.has(date), decidedBy: decider.source.id });
+      }
+    }
+
+    for (const date of [...kept].sort()) {
+      const has = ranked.filter(s => s.byDate.has(date));
+      const winner = overrides.find(s => s.byDate.has(date)) || (decider.byDate.has(date) ? decider : has[0]);
+      const record = { date, name_en: '', name_zh: '', statutory: false, type: holidayType({ type: winner.byDate.get(date).type }), source: winner.source.kind };
+      const from = { date: winner.source.id };
+
+      for (const lang of LANGS) {
+        const field = `name_${lang}`;
+        const named = has.filter(s => clean(s.byDate.get(date)[field]));
+        if (!named.length) continue;
+        record[field] = clean(named[0].byDate.get(date)[field]);
+        from[field] = named[0].source.id;
+
+        const values = new Map();
+        for (const s of named) {
+          const value = clean(s.byDate.get(date)[field]);
+          const key = comparable(value);
+          if (!values.has(key)) values.set(key, { value, sources: [] });
+          values.get(key).sources.push(s.source.id);
+        }
+        if (values.size > 1) {
+          conflicts.push({ kind: 'name', year, date, lang, values: [...values.values()], chosen: record[field], chosenFrom: from[field] });
+        }
+      }
+      records.push(record);
+      provenance[date] = from;
+    }
+  }
+
+  return {
+    records,
+    provenance,
+    conflicts,
+    sources: ranked.map((s, rank) => ({ id: s.source.id, kind: s.source.kind, stamp: s.source.stamp || null, override: Boolean(s.source.override), rank })),
+  };
+}
+
+// Markdown version of mergeSources() conflicts.
+export function conflictMarkdown({ conflicts, sources }) {
+  const lines = [
+    '# Source Conflicts',
+    '',
+    conflicts.length ? `${conflicts.length} conflict(s); the source listed first below wins.` : 'No conflicts between sources.',
+    '',
+    '| Rank | Source | Kind | Snapshot |',
+    '| ---- | ------ | ---- | -------- |',
+    ...sources.map(s => `| ${s.rank + 1} | ${s.id} | ${s.kind}${s.override ? ' (override)' : ''} | ${s.stamp || ''} |`),
+  ];
+  const dates = conflicts.filter(c => c.kind === 'date');
+  if (dates.length) {
+    lines.push('', '## Dates', '', '| Date | Kept | Listed by | Missing from |', '| ---- | ---- | --------- | ------------ |');
+    for (const c of dates) lines.push(`| ${c.date} | ${c.kept ? 'yes' : 'no'} | ${c.presentIn.join('<br>')} | ${c.missingIn.join('<br>')} |`);
+  }
+  const names = conflicts.filter(c => c.kind === 'name');
+  if (names.length) {
+    lines.push('', '## Names', '', '| Date | Lang | Chosen | Other names |', '| ---- | ---- | ------ | ----------- |');
+    for (const c of names) {
+      const others = c.values.filter(v => comparable(v.value) !== comparable(c.chosen)).map(v => `${v.value} (${v.sources.join(', ')})`);
+      lines.push(`| ${c.date} | ${c.lang} | ${c.chosen} (${c.chosenFrom}) | ${others.join('<br>')} |`);
+    }
+  }
+  return lines.join('\n');
+}
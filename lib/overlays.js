@@ -0,0 +1,111 @@
+// Company overlays on top of the public holiday list (data/company_overlays.json).
+//
+// Each entity (legal entity or office) describes how its calendar differs
+// from the public one:
+//
+//   {
+//     "id": "hk-office",
+//     "name_en": "Hong Kong Office", "name_zh": "香港辦事處",
+//     "saturday_substitute": "next_workday",     // or "previous_workday"; omit for none
+//     "remove": ["2025-12-26", "12-26", { "name_en": "Easter Monday" }],
+//     "swap":   [{ "from": "2025-10-07", "to": "2025-10-06" }],
+//     "add":    [{ "date": "12-24", "name_en": "Christmas Eve", "name_zh": "平安夜",
+//                  "type": "half_day", "cutoff": "13:00" }]
+//   }
+//
+// Added days default to type 'company' (see lib/types.js).  Top-level
+// "closures" (typhoon / extreme-conditions days) apply to every entity.
+//
+// Dates written as "MM-DD" apply to every year in the list; "YYYY-MM-DD" to
+// that day only.  Steps run in the order remove → swap → Saturday substitutes
+// → add, so added company days never trigger a substitute.
+
+import { addDays, weekday, yearOf } from './dates.js';
+import { holidayType, typeErrors } from './types.js';
+
+export const SATURDAY_SUBSTITUTE_RULES = ['next_workday', 'previous_workday'];
+
+export function overlayEntities(config) {
+  const list = Array.isArray(config) ? config : config?.entities;
+  if (!Array.isArray(list)) return [];
+  const closures = (config?.closures || []).map(c => ({ ...c, type: 'closure' }));
+  return list
+    .filter(e => e && /^[a-z0-9][a-z0-9_-]*$/i.test(e.id || ''))
+    .map(e => (closures.length ? { ...e, add: [...(e.add || []), ...closures] } : e));
+}
+
+// "12-24" → every year in `years`; "2025-12-24" → itself.
+function datesFor(spec, years) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(spec)) return [spec];
+  if (/^\d{2}-\d{2}$/.test(spec)) return years.map(y => `${y}-${spec}`);
+  return [];
+}
+
+function matches(h, rule, years) {
+  if (typeof rule === 'string') return datesFor(rule, years).includes(h.date);
+  if (!rule || typeof rule !== 'object') return false;
+  if (rule.year && yearOf(h.date) !== Number(rule.year)) return false;
+  if (rule.date && !datesFor(rule.date, years).includes(h.date)) return false;
+  if (rule.name_en && rule.name_en !== h.name_en) return false;
+  if (rule.name_zh && rule.name_zh !== h.name_zh) return false;
+  return Boolean(rule.date || rule.name_en || rule.name_zh);
+}
+
+const isWeekend = d => weekday(d) === 0 || weekday(d) === 6;
+
+function substituteDate(date, rule, taken) {
+  const dir = rule === 'previous_workday' ? -1 : 1;
+  let d = addDays(date, dir);
+  while (isWeekend(d) || taken.has(d)) d = addDays(d, dir);
+  return d;
+}
+
+// Returns a new, date-sorted list; every record carries `entity`, and records
+// the overlay created or moved have source: 'company'.
+export function applyOverlay(records, entity) {
+  if (!entity) return records.map(h => ({ ...h }));
+  if (entity.saturday_substitute && !SATURDAY_SUBSTITUTE_RULES.includes(entity.saturday_substitute)) {
+    throw new Error(`Entity ${entity.id}: unknown saturday_substitute "${entity.saturday_substitute}"`);
+  }
+  const years = [...new Set(records.map(h => yearOf(h.date)))];
+  let out = records
+    .filter(h => !(entity.remove || []).some(rule => matches(h, rule, years)))
+    .map(h => ({ ...h, entity: entity.id }));
+
+  for (const { from, to } of entity.swap || []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+      throw new Error(`Entity ${entity.id}: swap needs full YYYY-MM-DD dates (got ${from} → ${to})`);
+    }
+    out = out.map(h => (h.date === from ? { ...h, date: to, source: 'company', swapped_from: from } : h));
+  }
+
+  if (entity.saturday_substitute) {
+    const taken = new Set(out.map(h => h.date));
+    for (const h of out.filter(x => weekday(x.date) === 6 && holidayType(x) === 'general')) {
+      const date = substituteDate(h.date, entity.saturday_substitute, taken);
+      taken.add(date);
+      out.push({
+        date,
+        name_en: `Substitute holiday for ${(h.name_en || h.name_zh).replace(/^The /, 'the ')}`,
+        name_zh: `${h.name_zh || h.name_en}補假`,
+        statutory: false,
+        type: 'company',
+        source: 'company',
+        entity: entity.id,
+        substitute_for: h.date,
+      });
+    }
+  }
+
+  for (const add of entity.add || []) {
+    const { date: spec, ...fields } = add;
+    const dates = datesFor(spec || '', years);
+    if (!dates.length) throw new Error(`Entity ${entity.id}: bad date "${spec}" in add`);
+    const record = { name_en: '', name_zh: '', statutory: false, type: 'company', ...fields, source: 'company', entity: entity.id };
+    const errors = typeErrors(record);
+    if (errors.length) throw new Error(`Entity ${entity.id}: ${spec}: ${errors.join('; ')}`);
+    for (const date of dates) out.push({ date, ...record });
+  }
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,12 @@
+// Service worker registration for the pages (see sw.js at the repository
+// root).  Skipped on file:// and in browsers without service workers; the
+// pages behave the same without it, just not offline.
+
+export function registerServiceWorker(url = './sw.js') {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (!/^https?:$/.test(location.protocol)) return Promise.resolve(null);
+  return navigator.serviceWorker.register(url).catch(err => {
+    console.warn('Service worker not registered:', err);
+    return null;
+  });
+}
@@ -0,0 +1,69 @@
+// Holiday lookups over a list of holiday records
+// ({ date, name_en, name_zh, statutory, source }).  Used by the package entry
+// (index.js) with the bundled dataset, and usable with any other list.
+
+import { toISODate, today, yearOf } from './dates.js';
+import { holidayType } from './types.js';
+
+// company_holidays_ALL.json is a flat array; older builds wrote { year: [...] }.
+export function normalizeRecords(data) {
+  const list = Array.isArray(data) ? data : Object.values(data || {}).flat();
+  return list
+    .filter(h => h && toISODate(h.date))
+    .map(h => ({ ...h, date: toISODate(h.date) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function localize(h, lang) {
+  if (!h) return null;
+  if (!lang) return { ...h };
+  const name = lang === 'zh' ? (h.name_zh || h.name_en) : (h.name_en || h.name_zh);
+  return { ...h, name };
+}
+
+function requireDate(input, label) {
+  const iso = toISODate(input);
+  if (!iso) throw new TypeError(`Invalid ${label}: ${input}`);
+  return iso;
+}
+
+// Adjusted working days (type 'workday') stay in the lists but are not
+// holidays: isHoliday, getHoliday and nextHoliday skip them.
+export function createHolidayCalendar(data) {
+  const records = normalizeRecords(data);
+  const byDate = new Map();
+  for (const h of records) if (!byDate.has(h.date) && holidayType(h) !== 'workday') byDate.set(h.date, h);
+
+  const isHoliday = date => byDate.has(requireDate(date, 'date'));
+
+  const getHoliday = (date, lang) => localize(byDate.get(requireDate(date, 'date')), lang);
+
+  // Inclusive on both ends; arguments may be given in either order.
+  const holidaysBetween = (from, to, lang) => {
+    let a = requireDate(from, 'from date');
+    let b = requireDate(to, 'to date');
+    if (a > b) [a, b] = [b, a];
+    return records.filter(h => h.date >= a && h.date <= b).map(h => localize(h, lang));
+  };
+
+  // First holiday strictly after the given date (default: today).
+  const nextHoliday = (after, lang) => {
+    const from = after === undefined ? today() : requireDate(after, 'date');
+    return localize(records.find(h => h.date > from && holidayType(h) !== 'workday'), lang);
+  };
+
+  const holidaysInYear = (year, lang) => {
+    const y = Number(year);
+    return records.filter(h => yearOf(h.date) === y).map(h => localize(h, lang));
+  };
+
+  return {
+    records,
+    years: [...new Set(records.map(h => yearOf(h.date)))],
+    isHoliday,
+    getHoliday,
+    holidaysBetween,
+    nextHoliday,
+    holidaysInYear,
+  };
+}
@@ -0,0 +1,49 @@
+// Regions the dataset covers.  Records carry `region` ('HK' | 'MO' | 'CN');
+// records without one are Hong Kong, so every older file stays valid.
+//
+// Hong Kong is the main dataset (data/company_holidays_ALL.json, with the
+// company overlays and the Employment Ordinance statutory flags).  The other
+// regions are built by the same pipeline into data/regions/:
+//
+//   MO  Macau — public holidays (公眾假日)
+//   CN  Mainland China — national holidays (全國年節及紀念日), plus the
+//       adjusted working days (調休) of the State Council's yearly notice as
+//       type 'workday' records: weekend days that are working days
+//
+// Source files for a region are holiday record lists whose records have a
+// `region`, or whose file name starts with the region code (cn_2026.json).
+
+export const REGIONS = {
+  HK: { id: 'HK', name_en: 'Hong Kong', name_zh: '香港', short_en: 'HK', short_zh: '港', color: '#b30000' },
+  MO: { id: 'MO', name_en: 'Macau', name_zh: '澳門', short_en: 'MO', short_zh: '澳', color: '#0b7a75' },
+  CN: { id: 'CN', name_en: 'Mainland China', name_zh: '中國內地', short_en: 'CN', short_zh: '陸', color: '#c25e00' },
+};
+
+export const REGION_IDS = Object.keys(REGIONS);
+export const DEFAULT_REGION = 'HK';
+
+// 'mo', 'Macao', 'mainland', 'SZ' … → 'MO' / 'CN' / 'HK'; anything else → null.
+const ALIASES = {
+  hk: 'HK', hongkong: 'HK',
+  mo: 'MO', macau: 'MO', macao: 'MO',
+  cn: 'CN', mainland: 'CN', china: 'CN', prc: 'CN', sz: 'CN', shenzhen: 'CN',
+};
+
+export function normalizeRegion(code) {
+  return ALIASES[String(code || '').toLowerCase().replace(/[\s_-]/g, '')] || null;
+}
+
+export function regionOf(h) {
+  return normalizeRegion(h?.region) || DEFAULT_REGION;
+}
+
+// Region named by a source file's prefix: cn_2026.json, mo-2025.json → 'CN', 'MO'.
+export function regionOfFile(name) {
+  const m = String(name).match(/^([a-z]{2})[_-]/i);
+  return m && m[1].toUpperCase() !== DEFAULT_REGION ? normalizeRegion(m[1]) : null;
+}
+
+// data/regions/company_holidays_<region>_ALL.json (relative to the data directory).
+export function regionFile(region, year = 'ALL') {
+  return `regions/company_holidays_${region}_${year}.json`;
+}
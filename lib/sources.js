@@ -0,0 +1,117 @@
+// Reading one source file into a lib/merge.js source, without Node APIs, so
+// `hk-holidays build` (cli/sources.js) and update-holidays.html parse files
+// the same way:
+//   • 1823 calendars — .json / .ics whose name marks its language ("en", or
+//     "tc" / "zh"), e.g. 20230602-0945-en.json or 1823_tc.ics; jCal, ICS and
+//     RRULE / EXDATE handling is lib/ical.js
+//   • saved GovHK year pages — govhk_<year>_en.html / govhk_<year>_tc.html
+//   • local corrections — any .json holding holiday records
+//     ([{ date, name_en, name_zh }]), applied as overrides
+// Generated company_* files are not sources.  1823 and GovHK files are Hong
+// Kong; a record list is the region its records or file name give
+// (lib/regions.js), so cn_2026.json feeds the Mainland dataset.
+
+import { isRecordList } from './diff.js';
+import { calendarEntries, readCalendar } from './ical.js';
+import { yearOf } from './dates.js';
+import { DEFAULT_REGION, normalizeRegion, regionOfFile } from './regions.js';
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+};
+const MONTH_RE = 'January|February|March|April|May|June|July|August|September|October|November|December';
+
+export const GOVHK_PAGE = /^govhk_(\d{4})_(en|tc)\.html?$/i;
+export const SOURCE_FILE = /\.(json|ics)$/i;
+
+export function normalize(s) {
+  return (s || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+export function langOf(name) {
+  return /tc|zh/i.test(name) ? 'zh' : /en/i.test(name) ? 'en' : '';
+}
+
+// '1 January', 'January 1', '2025-01-01' or '1月1日' → 'YYYY-MM-DD' ('' if none).
+export function parseISODate(text, year) {
+  if (!text) return '';
+  const pad = n => String(n).padStart(2, '0');
+  let m = text.match(new RegExp(`(\\d{1,2})\\s+(${MONTH_RE})\\s*(\\d{4})?`, 'i'));
+  if (m) return `${m[3] || year}-${pad(MONTHS[m[2].toLowerCase()])}-${pad(m[1])}`;
+  m = text.match(new RegExp(`(${MONTH_RE})\\s+(\\d{1,2})(?:,?\\s*(\\d{4}))?`, 'i'));
+  if (m) return `${m[3] || year}-${pad(MONTHS[m[1].toLowerCase()])}-${pad(m[2])}`;
+  m = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = text.match(/(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+  if (m) return `${year}-${pad(m[1])}-${pad(m[2])}`;
+  return '';
+}
+
+// Text of the rows of a GovHK "General holidays for <year>" page → Map(date → name).
+export function govhkNames(rows, year) {
+  const names = new Map();
+  const dateRe = new RegExp(`(\\d{1,2}\\s+(${MONTH_RE})|(${MONTH_RE})\\s+\\d{1,2}|\\d{1,2}\\s*月\\s*\\d{1,2}\\s*日)`, 'i');
+  for (const row of rows.map(normalize)) {
+    const m = row.match(dateRe);
+    if (!m) continue;
+    const iso = parseISODate(m[0], year);
+    const name = row.slice(0, m.index).replace(/^[\d.\-•·\s]+/, '').trim();
+    if (iso.startsWith(`${year}-`) && name.length >= 2) names.set(iso, name);
+  }
+  return names;
+}
+
+// One file → a lib/merge.js source limited to `range` ({ from, to } years), or
+// null when it is not a source: a company_* output, a calendar whose name
+// gives no language, a GovHK page for a year outside the range.  Throws when
+// the content does not parse.
+//
+// `htmlRows(html)` returns the text of a page's table rows (or list items when
+// it has no table); only GovHK pages need it.
+export async function fileSource({ id, name, text }, range, { htmlRows } = {}) {
+  const inRange = date => yearOf(date) >= range.from && yearOf(date) <= range.to;
+  const page = name.match(GOVHK_PAGE);
+  if (page) {
+    const year = Number(page[1]);
+    if (year < range.from || year > range.to) return null;
+    if (!htmlRows) throw new Error(`No HTML reader for GovHK page ${name}`);
+    const names = govhkNames(await htmlRows(text), year);
+    const records = [...names].map(([date, n]) => ({ date, [`name_${langOf(page[2])}`]: n }));
+    return { id, kind: 'govhk', region: DEFAULT_REGION, records };
+  }
+  if (!SOURCE_FILE.test(name) || name.startsWith('company_')) return null;
+
+  const body = text.replace(/^\uFEFF/, '');
+  const data = /\.json$/i.test(name) ? JSON.parse(body) : body;
+  if (/\.json$/i.test(name) && isRecordList(data)) {
+    const records = (Array.isArray(data) ? data : Object.values(data).flat()).filter(h => inRange(h.date));
+    return { id, kind: 'local', override: true, region: regionOfFile(name) || DEFAULT_REGION, records };
+  }
+  const lang = langOf(name);
+  if (!lang) return null;
+  const records = calendarEntries(readCalendar(data), range)
+    .map(({ date, summary }) => ({ date, [`name_${lang}`]: normalize(summary) }));
+  return { id, kind: '1823', stamp: name.match(/(\d{8}-\d{4})/)?.[1], region: DEFAULT_REGION, records };
+}
+
+// Sources → Map(region → sources), each holding only that region's records:
+// a record's own `region` wins over its file's.  Hong Kong is always present,
+// and a source stays in its own region's list even when it has no records.
+export function splitByRegion(sources) {
+  const out = new Map([[DEFAULT_REGION, []]]);
+  for (const source of sources) {
+    const own = source.region || DEFAULT_REGION;
+    const byRegion = new Map([[own, []]]);
+    for (const h of source.records) {
+      const region = normalizeRegion(h.region) || own;
+      if (!byRegion.has(region)) byRegion.set(region, []);
+      byRegion.get(region).push(h);
+    }
+    for (const [region, records] of byRegion) {
+      if (!out.has(region)) out.set(region, []);
+      out.get(region).push({ ...source, region, records });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,86 @@
+// Statutory holidays under the Employment Ordinance (Cap. 57, s. 39), derived
+// offline and matched onto general-holiday records by identity
+// (lib/identity.js) rather than scraped from labour.gov.hk.
+//
+// Twelve days apply to every year; the Employment (Amendment) Ordinance 2021
+// adds one every other year from 2022 until all 17 general holidays are
+// covered in 2030.  The ordinance lets an employer give Winter Solstice
+// instead of Christmas Day; we follow the common Christmas Day choice.
+
+import { yearOf } from './dates.js';
+import { holidayIdentity } from './identity.js';
+import { holidayType } from './types.js';
+
+// key → first year it is a statutory holiday.
+export const STATUTORY_SCHEDULE = {
+  new_year: 0,
+  lny_1: 0,
+  lny_2: 0,
+  lny_3: 0,
+  ching_ming: 0,
+  labour_day: 0,
+  tuen_ng: 0,
+  hksar: 0,
+  mid_autumn_following: 0,
+  chung_yeung: 0,
+  national_day: 0,
+  christmas: 0,
+  buddha: 2022,
+  easter_monday: 2024,
+  good_friday: 2026,
+  good_friday_following: 2028,
+  christmas_weekday_1: 2030,
+};
+
+// Days that share substitutes: when one falls on a Sunday the next holiday in
+// the block takes its place ("The fourth day of Lunar New Year", "The second
+// weekday after Christmas Day"), so the first N records of the block count.
+const BLOCKS = [
+  ['lny_1', 'lny_2', 'lny_3', 'lny_4'],
+  ['christmas', 'christmas_weekday_1', 'christmas_weekday_2'],
+];
+
+export function statutoryKeys(year) {
+  return Object.keys(STATUTORY_SCHEDULE).filter(k => STATUTORY_SCHEDULE[k] <= year);
+}
+
+export function statutoryCount(year) {
+  return statutoryKeys(year).length;
+}
+
+// Dates of the statutory holidays among one year's general-holiday records.
+export function statutoryDates(records, year) {
+  const keys = new Set(statutoryKeys(year));
+  const list = records
+    .filter(h => yearOf(h.date) === year && holidayType(h) === 'general')
+    .map(h => ({ date: h.date, id: holidayIdentity(h) }))
+    .filter(x => x.id)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const dates = new Set();
+  const inBlock = new Set(BLOCKS.flat());
+  for (const block of BLOCKS) {
+    const wanted = block.filter(k => keys.has(k)).length;
+    list.filter(x => block.includes(x.id.key)).slice(0, wanted).forEach(x => dates.add(x.date));
+  }
+  for (const key of keys) {
+    if (inBlock.has(key)) continue;
+    const actual = list.find(x => x.id.key === key && !x.id.substitute);
+    const substitute = list.find(x => x.id.key === key && x.id.substitute);
+    const hit = actual || substitute;
+    if (hit) dates.add(hit.date);
+  }
+  return dates;
+}
+
+// Sets `statutory` on every record.  labourDates ({ [year]: Set<date> }) —
+// e.g. parsed from a saved Labour Department page — replaces the derivation
+// for the years it covers.
+export function markStatutory(records, { labourDates = {} } = {}) {
+  const years = [...new Set(records.map(h => yearOf(h.date)))];
+  const byYear = new Map(years.map(y => [y, labourDates[y] || statutoryDates(records, y)]));
+  return records.map(h => ({
+    ...h,
+    statutory: holidayType(h) === 'general' && byYear.get(yearOf(h.date)).has(h.date),
+  }));
+}
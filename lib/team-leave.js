@@ -0,0 +1,126 @@
+// Team leave on top of the holiday calendar: who is away on which working day,
+// for staffing rosters.  A team leave file is JSON or CSV with one period per
+// entry:
+//
+//   [{ "person": "Alice", "start": "2025-12-22", "end": "2025-12-31", "note": "Annual leave" }]
+//
+//   person,start,end,note
+//   Alice,2025-12-22,2025-12-31,Annual leave
+//   Bob,2025-12-29,,
+//
+// A missing end means a single day.  `name` and `from` / `to` / `date` are
+// accepted for person / start / end, and dates may be written 20251222.
+// Only business days count (lib/business-days.js): leave over a weekend or a
+// holiday takes nobody away who would otherwise be in.
+
+import { addDays, toISODate } from './dates.js';
+
+const FIELDS = {
+  person: ['person', 'name'],
+  start: ['start', 'from', 'date'],
+  end: ['end', 'to'],
+  note: ['note', 'type', 'reason'],
+};
+
+// RFC 4180 CSV as [{ line, fields }]: quoted fields, doubled quotes, CRLF or
+// LF line ends.  `line` is the 1-based line the row starts on, counting the
+// blank lines that are skipped and line breaks inside quoted fields.
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const s = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') field += s[++i];
+      else if (c === '"') quoted = false;
+      else {
+        if (c === '\n' || (c === '\r' && s[i + 1] !== '\n')) line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: start, fields: row });
+      row = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push({ line: start, fields: [...row, field] });
+  return rows.filter(r => r.fields.some(v => v.trim()));
+}
+
+export function parseCSV(text) {
+  return csvRows(text).map(r => r.fields);
+}
+
+function pick(entry, names) {
+  const key = names.find(k => entry[k] !== undefined && entry[k] !== null && String(entry[k]).trim() !== '');
+  return key ? String(entry[key]).trim() : '';
+}
+
+function normalizeEntry(entry, where) {
+  const person = pick(entry, FIELDS.person);
+  const start = toISODate(pick(entry, FIELDS.start));
+  const end = pick(entry, FIELDS.end) ? toISODate(pick(entry, FIELDS.end)) : start;
+  if (!person) throw new Error(`Team leave ${where}: no person`);
+  if (!start) throw new Error(`Team leave ${where}: invalid start "${pick(entry, FIELDS.start)}"`);
+  if (!end) throw new Error(`Team leave ${where}: invalid end "${pick(entry, FIELDS.end)}"`);
+  if (end < start) throw new Error(`Team leave ${where}: ends (${end}) before it starts (${start})`);
+  return { person, start, end, note: pick(entry, FIELDS.note) };
+}
+
+// JSON ([...] or { "leave": [...] }) or CSV with a header row → [{ person, start, end, note }].
+// Throws with the entry number (JSON) or line number in the file (CSV) of the first bad entry.
+export function parseTeamLeave(text) {
+  const raw = String(text ?? '').replace(/^\uFEFF/, '');
+  const body = raw.trim();
+  if (/^[[{]/.test(body)) {
+    const data = JSON.parse(body);
+    const list = Array.isArray(data) ? data : data?.leave;
+    if (!Array.isArray(list)) throw new Error('Team leave JSON must be a list of entries or { "leave": [...] }');
+    return list.map((e, i) => normalizeEntry(e || {}, `entry ${i + 1}`));
+  }
+  const [header, ...rows] = csvRows(raw);
+  const columns = (header?.fields || []).map(h => h.trim().toLowerCase());
+  if (!FIELDS.person.some(k => columns.includes(k)) || !FIELDS.start.some(k => columns.includes(k))) {
+    throw new Error('Team leave CSV needs a header row with person and start columns');
+  }
+  return rows.map(r => normalizeEntry(Object.fromEntries(columns.map((c, j) => [c, r.fields[j]])), `line ${r.line}`));
+}
+
+// entries → { people, days: Map(date → { count, away: [{ person, note }], over }) }.
+// `isBusinessDay(date)` limits the count to working days; a day is `over`
+// when more than `maxAway` people are out.  Someone listed twice for a day
+// counts once.
+export function teamAway(entries, { isBusinessDay = () => true, maxAway = Infinity } = {}) {
+  const days = new Map();
+  for (const e of entries) {
+    for (let d = e.start; d <= e.end; d = addDays(d, 1)) {
+      if (!isBusinessDay(d)) continue;
+      if (!days.has(d)) days.set(d, new Map());
+      if (!days.get(d).has(e.person)) days.get(d).set(e.person, { person: e.person, note: e.note });
+    }
+  }
+  const out = new Map();
+  for (const date of [...days.keys()].sort()) {
+    const away = [...days.get(date).values()].sort((a, b) => a.person.localeCompare(b.person));
+    out.set(date, { count: away.length, away, over: away.length > maxAway });
+  }
+  return {
+    people: [...new Set(entries.map(e => e.person))].sort((a, b) => a.localeCompare(b)),
+    days: out,
+  };
+}
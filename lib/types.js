@@ -0,0 +1,63 @@
+// Holiday record types.  Every record has a `type`; older data without one is
+// read as 'general' (or 'company' when it came from an overlay).  `statutory`
+// stays a separate flag: statutory holidays are a subset of general holidays.
+//
+//   general   — General Holidays Ordinance day (the 1823 list)
+//   company   — whole-day company holiday from an overlay
+//   half_day  — company half day; `cutoff` ('13:00') is when the office closes
+//   closure   — ad-hoc closure (typhoon, black rainstorm, extreme conditions);
+//               `reason` required, optional `cutoff` when it starts mid-day
+//   workday   — adjusted working day (Mainland 調休): a weekend day worked to
+//               make up for a longer holiday break; a working day, not a day off
+
+export const HOLIDAY_TYPES = ['general', 'company', 'half_day', 'closure', 'workday'];
+
+export const CLOSURE_REASONS = ['typhoon', 'black_rainstorm', 'extreme_conditions', 'other'];
+
+export const TYPE_LABELS = {
+  statutory: { en: 'Statutory holiday', zh: '法定假日' },
+  general: { en: 'General holiday', zh: '公眾假期' },
+  company: { en: 'Company holiday', zh: '公司假期' },
+  half_day: { en: 'Half day', zh: '半日假' },
+  closure: { en: 'Special closure', zh: '特別停工' },
+  workday: { en: 'Adjusted working day', zh: '調休上班日' },
+};
+
+export const CLOSURE_LABELS = {
+  typhoon: { en: 'Typhoon', zh: '颱風' },
+  black_rainstorm: { en: 'Black rainstorm', zh: '黑色暴雨' },
+  extreme_conditions: { en: 'Extreme conditions', zh: '極端情況' },
+  other: { en: 'Closure', zh: '停工' },
+};
+
+export function holidayType(h) {
+  if (h?.type && HOLIDAY_TYPES.includes(h.type)) return h.type;
+  return h?.source === 'company' ? 'company' : 'general';
+}
+
+// Display category: statutory general holidays get their own label and colour.
+export function holidayKind(h) {
+  const type = holidayType(h);
+  return type === 'general' && h.statutory ? 'statutory' : type;
+}
+
+// 'Half day (from 13:00)', '半日假（13:00 起）', 'Typhoon closure' …
+export function typeLabel(h, lang = 'en') {
+  const kind = holidayKind(h);
+  let label = TYPE_LABELS[kind][lang];
+  if (kind === 'closure' && CLOSURE_LABELS[h.reason]) {
+    label = lang === 'zh' ? `${CLOSURE_LABELS[h.reason].zh}停工` : `${CLOSURE_LABELS[h.reason].en} closure`;
+  }
+  if (h.cutoff) label += lang === 'zh' ? `（${h.cutoff} 起）` : ` (from ${h.cutoff})`;
+  return label;
+}
+
+// Problems with a record's type fields, as messages; empty when valid.
+export function typeErrors(h) {
+  const errors = [];
+  if (h.type !== undefined && !HOLIDAY_TYPES.includes(h.type)) errors.push(`unknown type "${h.type}"`);
+  if (h.cutoff !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(h.cutoff)) errors.push(`bad cutoff "${h.cutoff}" (expected HH:MM)`);
+  if (h.type === 'half_day' && !h.cutoff) errors.push('half_day needs a cutoff time');
+  if (h.type === 'closure' && !CLOSURE_REASONS.includes(h.reason)) errors.push(`closure needs a reason (${CLOSURE_REASONS.join(', ')})`);
+  return errors;
+}
@@ -0,0 +1,202 @@
+// Data-quality checks for holiday records, used as the gate in the fetch
+// pipeline.  Each issue is { level: 'error' | 'warning', code, year, date?,
+// message }; a strict run fails on any error.
+//
+// Checks per year (general holidays only — overlays are company data):
+//   schema        record does not match schema/holiday-record.schema.json
+//   count         not the 17 general holidays the ordinance lists
+//   missing_en/zh a name is empty
+//   duplicate     two general holidays on one date
+//   sunday        a general holiday dated on a Sunday (should be substituted)
+//   missing_day   an ordinance holiday with neither its day nor a substitute
+//   statutory     statutory count differs from the Employment Ordinance for the year
+//   unknown_name  name matches no known holiday (warning)
+//   provisional   year comes from the rule-based generator (warning)
+//
+// Macau and Mainland years (lib/regions.js) have no ordinance to count
+// against: only missing_en/zh, duplicate and provisional apply, plus
+//   workday       an adjusted working day that is not a Saturday or Sunday (warning)
+
+import { weekday, yearOf } from './dates.js';
+import { HOLIDAY_KEYS, holidayIdentity } from './identity.js';
+import { DEFAULT_REGION, regionOf } from './regions.js';
+import { statutoryCount } from './statutory.js';
+import { holidayType } from './types.js';
+
+export const GENERAL_HOLIDAYS_PER_YEAR = 17;
+
+// ---------- JSON Schema (the subset our schema uses) ----------
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+// Messages for `value` against `schema`: type, enum, const, pattern,
+// minLength, required, properties, additionalProperties, items.
+export function schemaErrors(value, schema, at = '') {
+  const errors = [];
+  const where = at || 'record';
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const t = typeOf(value);
+    if (!types.includes(t) && !(t === 'integer' && types.includes('number'))) {
+      return [`${where}: expected ${types.join(' or ')}, got ${t}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  if ('const' in schema && value !== schema.const) errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${where}: shorter than ${schema.minLength}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...schemaErrors(v, sub, at ? `${at}.${key}` : key));
+      else if (schema.additionalProperties === false) errors.push(`${where}: unexpected property "${key}"`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => errors.push(...schemaErrors(v, schema.items, `${where}[${i}]`)));
+  }
+  return errors;
+}
+
+// ---------- Year checks ----------
+
+// Ordinance holidays every year needs, as identity keys (see lib/identity.js).
+function requiredKeys(year) {
+  const optional = new Set(['lny_1', 'lny_2', 'lny_3', 'lny_4', 'christmas', 'christmas_weekday_2']);
+  const keys = Object.keys(HOLIDAY_KEYS).filter(k => !optional.has(k));
+  keys.push(weekday(`${year}-12-25`) === 0 ? 'christmas_weekday_2' : 'christmas');
+  return keys;
+}
+
+function checkYear(year, list, issues) {
+  const add = (level, code, message, date) => issues.push({ level, code, year, ...(date ? { date } : {}), message });
+
+  if (list.length !== GENERAL_HOLIDAYS_PER_YEAR) {
+    add('error', 'count', `${list.length} general holidays, expected ${GENERAL_HOLIDAYS_PER_YEAR}`);
+  }
+  const seen = new Set();
+  const ids = [];
+  for (const h of list) {
+    if (!h.name_en) add('error', 'missing_en', 'English name missing', h.date);
+    if (!h.name_zh) add('error', 'missing_zh', 'Chinese name missing', h.date);
+    if (seen.has(h.date)) add('error', 'duplicate', 'more than one general holiday on this date', h.date);
+    seen.add(h.date);
+    if (weekday(h.date) === 0) add('error', 'sunday', `${h.name_en || h.name_zh} falls on a Sunday without a substitute`, h.date);
+    const id = holidayIdentity(h);
+    if (id) ids.push(id);
+    for (const name of [h.name_en && { name_en: h.name_en }, h.name_zh && { name_zh: h.name_zh }].filter(Boolean)) {
+      if (!holidayIdentity(name)) add('warning', 'unknown_name', `unknown holiday name "${Object.values(name)[0]}"`, h.date);
+    }
+  }
+
+  const present = new Set(ids.map(id => id.key));
+  for (const key of requiredKeys(year)) {
+    if (!present.has(key)) add('error', 'missing_day', `no record for ${HOLIDAY_KEYS[key].name_en} or its substitute`);
+  }
+  const lny = ['lny_1', 'lny_2', 'lny_3', 'lny_4'].filter(k => present.has(k)).length;
+  if (lny !== 3) add('error', 'missing_day', `${lny} Lunar New Year holidays, expected 3`);
+
+  const stat = list.filter(h => h.statutory).length;
+  const expected = statutoryCount(year);
+  if (stat !== expected) add('error', 'statutory', `${stat} statutory holidays, the Employment Ordinance gives ${expected}`);
+
+  if (list.some(h => h.provisional)) add('warning', 'provisional', 'rule-based provisional data, not yet gazetted');
+}
+
+function checkRegionYear(year, region, list, workdays, issues) {
+  const add = (level, code, message, date) => issues.push({ level, code, year, region, ...(date ? { date } : {}), message });
+  const seen = new Set();
+  for (const h of list) {
+    if (!h.name_en) add('error', 'missing_en', 'English name missing', h.date);
+    if (!h.name_zh) add('error', 'missing_zh', 'Chinese name missing', h.date);
+    if (seen.has(h.date)) add('error', 'duplicate', 'more than one general holiday on this date', h.date);
+    seen.add(h.date);
+  }
+  for (const h of workdays) {
+    if (weekday(h.date) !== 0 && weekday(h.date) !== 6) add('warning', 'workday', 'adjusted working day on a weekday', h.date);
+    if (seen.has(h.date)) add('error', 'duplicate', 'both a holiday and an adjusted working day', h.date);
+  }
+  if (list.some(h => h.provisional)) add('warning', 'provisional', 'rule-based provisional data, without the announced compensatory or adjusted working days');
+}
+
+// Returns { ok, errors, warnings, years: [{ year, region, total, statutory, expectedStatutory,
+// missingEn, missingZh, duplicates, provisional }], issues }.  Issues of other
+// regions than Hong Kong carry their `region`.
+export function validateHolidays(records, { schema } = {}) {
+  const issues = [];
+  if (schema) {
+    records.forEach((h, i) => {
+      for (const message of schemaErrors(h, schema)) {
+        issues.push({ level: 'error', code: 'schema', year: yearOf(h?.date) || null, date: h?.date, message: `#${i}: ${message}` });
+      }
+    });
+  }
+
+  // `${region} ${year}` → { general, workdays }, Hong Kong first.
+  const groups = new Map();
+  for (const h of records) {
+    const type = h?.date && holidayType(h);
+    if (type !== 'general' && type !== 'workday') continue;
+    const key = `${regionOf(h) === DEFAULT_REGION ? '' : regionOf(h)} ${yearOf(h.date)}`;
+    if (!groups.has(key)) groups.set(key, { region: regionOf(h), year: yearOf(h.date), general: [], workdays: [] });
+    groups.get(key)[type === 'general' ? 'general' : 'workdays'].push(h);
+  }
+
+  const years = [];
+  for (const [, { region, year, general: list, workdays }] of [...groups].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const hk = region === DEFAULT_REGION;
+    if (hk && !list.length) continue;
+    if (hk) checkYear(year, list, issues);
+    else checkRegionYear(year, region, list, workdays, issues);
+    const dates = list.map(h => h.date);
+    years.push({
+      year,
+      region,
+      total: list.length,
+      statutory: list.filter(h => h.statutory).length,
+      expectedStatutory: hk ? statutoryCount(year) : 0,
+      missingEn: list.filter(h => !h.name_en).length,
+      missingZh: list.filter(h => !h.name_zh).length,
+      duplicates: dates.length - new Set(dates).size,
+      provisional: list.some(h => h.provisional),
+    });
+  }
+
+  const errors = issues.filter(i => i.level === 'error').length;
+  return { ok: errors === 0, errors, warnings: issues.length - errors, years, issues };
+}
+
+// Markdown version of a validateHolidays() result.  A Region column appears
+// once the result covers more than Hong Kong.
+export function validationMarkdown(result) {
+  const regions = result.years.some(v => v.region && v.region !== DEFAULT_REGION);
+  const col = text => (regions ? `| ${text} ` : '');
+  const lines = [
+    '# Validation Report',
+    '',
+    `Result: **${result.ok ? 'PASS' : 'FAIL'}** — ${result.errors} error(s), ${result.warnings} warning(s)`,
+    '',
+    `${col('Region')}| Year | Records | Missing ZH | Missing EN | Duplicate Dates | Statutory Marked | Statutory Expected | Provisional |`,
+    `${col('------')}| ---- | ------- | ---------- | ---------- | --------------- | ---------------- | ------------------ | ----------- |`,
+    ...result.years.map(v => `${col(v.region || DEFAULT_REGION)}| ${v.year} | ${v.total} | ${v.missingZh} | ${v.missingEn} | ${v.duplicates} | ${v.statutory} | ${v.expectedStatutory} | ${v.provisional ? 'Yes' : 'No'} |`),
+    '',
+    `Total records: ${result.years.reduce((n, v) => n + v.total, 0)}`,
+  ];
+  if (result.issues.length) {
+    lines.push('', '## Issues', '', `${col('Region')}| Level | Year | Date | Check | Message |`, `${col('------')}| ----- | ---- | ---- | ----- | ------- |`);
+    for (const i of result.issues) {
+      lines.push(`${col(i.region || DEFAULT_REGION)}| ${i.level} | ${i.year ?? ''} | ${i.date || ''} | ${i.code} | ${i.message.replace(/\|/g, '\\|')} |`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,24 @@
+// Copies the browser dependencies of the pages from node_modules into vendor/,
+// so the pages work offline and without a CDN.  Run after upgrading dayjs or
+// rrule (npm run vendor) and commit the result.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { ROOT_DIR } from '../cli/config.js';
+
+const FILES = {
+  dayjs: ['dayjs.min.js', 'locale/zh-hk.js', 'locale/zh-cn.js', 'LICENSE'],
+  rrule: ['dist/es5/rrule.min.js', 'LICENCE'],
+};
+
+for (const [pkg, files] of Object.entries(FILES)) {
+  const from = path.join(ROOT_DIR, 'node_modules', pkg);
+  const to = path.join(ROOT_DIR, 'vendor', pkg);
+  const { version } = JSON.parse(fs.readFileSync(path.join(from, 'package.json'), 'utf8'));
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(to, file)), { recursive: true });
+    fs.copyFileSync(path.join(from, file), path.join(to, file));
+  }
+  fs.writeFileSync(path.join(to, 'VERSION'), `${version}\n`);
+  console.log(`vendor/${pkg}: ${pkg}@${version} (${files.length} files)`);
+}
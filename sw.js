@@ -0,0 +1,106 @@
+// Service worker for the calendar pages: keeps them usable offline.
+//
+//   app shell (pages, lib/, vendor/, icons)  cache first, refreshed in the
+//                                            background for the next visit
+//   data/*.json                              network first, so a rebuilt or
+//                                            redeployed dataset shows up as soon
+//                                            as the device is online; the cached
+//                                            copy is used offline
+//
+// Bump VERSION when SHELL changes so old caches are dropped on activation.
+
+const VERSION = 'v4';
+const SHELL_CACHE = `hk-holidays-shell-${VERSION}`;
+const DATA_CACHE = `hk-holidays-data-${VERSION}`;
+
+const SHELL = [
+  './',
+  './index.html',
+  './holiday-list.html',
+  './entitlement.html',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './vendor/dayjs/index.js',
+  './vendor/dayjs/dayjs.min.js',
+  './vendor/dayjs/locale/zh-hk.js',
+  './vendor/dayjs/locale/zh-cn.js',
+  './lib/business-days.js',
+  './lib/csv-export.js',
+  './lib/dates.js',
+  './lib/entitlement.js',
+  './lib/i18n.js',
+  './lib/leave-planner.js',
+  './lib/lunar.js',
+  './lib/overlays.js',
+  './lib/pwa.js',
+  './lib/query.js',
+  './lib/regions.js',
+  './lib/team-leave.js',
+  './lib/types.js',
+  './lib/xlsx-export.js',
+];
+// Optional files (company_overlays.json may not exist) are cached when present.
+const DATA = [
+  './data/company_holidays_ALL.json',
+  './data/company_overlays.json',
+  './data/regions/company_holidays_MO_ALL.json',
+  './data/regions/company_holidays_CN_ALL.json',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL);
+    const data = await caches.open(DATA_CACHE);
+    await Promise.all(DATA.map(url => data.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('hk-holidays-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request).then(response => {
+    if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (path.startsWith('data/') && path.endsWith('.json')) event.respondWith(networkFirst(request));
+  else if (SHELL.includes(`./${path}`) || (request.mode === 'navigate' && path.endsWith('.html'))) event.respondWith(cacheFirst(event));
+});
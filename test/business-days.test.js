@@ -0,0 +1,58 @@
+// Business-day arithmetic over weekends, holidays, half days and 調休 workdays.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createBusinessCalendar, resolveWeekend } from '../lib/business-days.js';
+
+const records = [
+  { date: '2026-10-01', name_en: 'National Day', name_zh: '國慶日', statutory: true, type: 'general', source: 'test' },
+  { date: '2026-10-02', name_en: 'Day after National Day', name_zh: '國慶日翌日', statutory: false, type: 'general', source: 'test' },
+  { date: '2026-12-24', name_en: 'Christmas Eve', name_zh: '平安夜', statutory: false, type: 'half_day', cutoff: '13:00', source: 'test' },
+  { date: '2026-12-25', name_en: 'Christmas Day', name_zh: '聖誕節', statutory: true, type: 'general', source: 'test' },
+  { date: '2026-12-29', name_en: 'Typhoon', name_zh: '颱風', statutory: false, type: 'closure', reason: 'typhoon', source: 'test' },
+  { date: '2026-12-30', name_en: 'Typhoon', name_zh: '颱風', statutory: false, type: 'closure', reason: 'typhoon', cutoff: '15:00', source: 'test' },
+  { date: '2026-10-10', name_en: 'Adjusted working day', name_zh: '調休上班日', statutory: false, type: 'workday', source: 'test' },
+];
+const business = createBusinessCalendar(records);
+
+test('weekends and holidays are not business days', () => {
+  assert.equal(business.isBusinessDay('2026-09-30'), true);
+  assert.equal(business.isBusinessDay('2026-10-01'), false);
+  assert.equal(business.isBusinessDay('2026-10-03'), false);
+  assert.equal(business.nextBusinessDay('2026-09-30'), '2026-10-05');
+  assert.equal(business.previousBusinessDay('2026-10-05'), '2026-09-30');
+  assert.equal(business.addBusinessDays('2026-09-30', 2), '2026-10-06');
+  assert.equal(business.addBusinessDays('2026-10-06', -2), '2026-09-30');
+  assert.equal(business.businessDaysBetween('2026-09-30', '2026-10-06'), 2);
+  assert.equal(business.businessDaysBetween('2026-10-06', '2026-09-30'), -2);
+});
+
+test('an adjusted working day on a weekend is a business day', () => {
+  assert.equal(business.isBusinessDay('2026-10-10'), true);
+  assert.equal(business.isBusinessDay('2026-10-11'), false);
+  assert.equal(business.nextBusinessDay('2026-10-09'), '2026-10-10');
+});
+
+test('weekend and statutoryOnly options', () => {
+  assert.equal(business.isBusinessDay('2026-10-03', { weekend: 'sun' }), true);
+  assert.equal(business.isBusinessDay('2026-10-02', { statutoryOnly: true }), true);
+  assert.equal(createBusinessCalendar(records, { weekend: [5, 6] }).isBusinessDay('2026-10-04'), true);
+  assert.deepEqual(resolveWeekend('sun'), [0]);
+  assert.throws(() => resolveWeekend('fri'), TypeError);
+  assert.throws(() => resolveWeekend([0, 1, 2, 3, 4, 5, 6]), RangeError);
+});
+
+test('half days and mid-day closures are business days unless halfDays is off', () => {
+  assert.equal(business.isBusinessDay('2026-12-24'), true);
+  assert.equal(business.isBusinessDay('2026-12-30'), true);
+  assert.equal(business.isBusinessDay('2026-12-29'), false);
+  assert.equal(business.businessDaysBetween('2026-12-23', '2026-12-31'), 4);
+  assert.equal(business.isBusinessDay('2026-12-24', { halfDays: 'off' }), false);
+  assert.equal(business.businessDaysBetween('2026-12-23', '2026-12-31', { halfDays: 'off' }), 2);
+  assert.throws(() => business.isBusinessDay('2026-12-24', { halfDays: 'half' }), TypeError);
+});
+
+test('invalid input is rejected', () => {
+  assert.throws(() => business.isBusinessDay('2026-13-01'), TypeError);
+  assert.throws(() => business.addBusinessDays('2026-10-01', 1.5), TypeError);
+});
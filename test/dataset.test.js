@@ -0,0 +1,30 @@
+// Provisional years in the assembled datasets.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { assembleHolidays } from '../lib/dataset.js';
+import { generateHolidays } from '../lib/generator.js';
+import { mergeSources } from '../lib/merge.js';
+
+test('Macau has provisional data for every year without an official list', () => {
+  const mo = assembleHolidays(mergeSources([]), { range: { from: 2024, to: 2028 }, region: 'MO' });
+  assert.deepEqual(mo.generated.map(g => g.year), [2024, 2025, 2026, 2027, 2028]);
+  const y2026 = mo.byYear[2026];
+  assert.ok(y2026.length > 0);
+  assert.ok(y2026.every(h => h.provisional && h.region === 'MO' && !h.statutory));
+});
+
+test('official years stop generation before them', () => {
+  const cn = { id: 'cn_2026.json', kind: 'local', records: [{ date: '2026-01-01', name_en: 'New Year’s Day', name_zh: '元旦', type: 'general', statutory: false, source: 'cn_2026.json', region: 'CN' }] };
+  const result = assembleHolidays(mergeSources([cn]), { range: { from: 2026, to: 2027 }, region: 'CN' });
+  assert.deepEqual(result.generated.map(g => g.year), [2027]);
+  assert.equal(result.byYear[2026].length, 1);
+});
+
+test('Macau and Mainland Lunar New Year 2027 and 2030', () => {
+  const lny = (year, region) => generateHolidays(year, { region }).filter(h => /Lunar New Year|Spring Festival/.test(h.name_en)).map(h => h.date);
+  assert.deepEqual(lny(2027, 'MO'), ['2027-02-06', '2027-02-07', '2027-02-08']);
+  assert.deepEqual(lny(2030, 'MO'), ['2030-02-03', '2030-02-04', '2030-02-05']);
+  assert.deepEqual(lny(2027, 'CN'), ['2027-02-05', '2027-02-06', '2027-02-07', '2027-02-08']);
+  assert.deepEqual(lny(2030, 'CN'), ['2030-02-02', '2030-02-03', '2030-02-04', '2030-02-05']);
+});
@@ -0,0 +1,57 @@
+// Snapshot diff: added, removed, moved and renamed holidays.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { diffHolidays, diffMarkdown, mergeSnapshots, snapshotRecords } from '../lib/diff.js';
+
+const all = JSON.parse(readFileSync(new URL('../data/company_holidays_ALL.json', import.meta.url), 'utf8'));
+const hk = year => all.filter(h => h.date.startsWith(`${year}-`) && !h.entity && !h.region);
+const before = [...hk(2024), ...hk(2025)];
+
+test('identical lists have no changes', () => {
+  const result = diffHolidays(before, before);
+  assert.equal(result.changes, 0);
+  assert.deepEqual(result.languages, ['en', 'zh']);
+  assert.deepEqual(result.years.map(y => y.year), [2024, 2025]);
+});
+
+test('a holiday on a new date is moved, not removed and added', () => {
+  const after = before.map(h => (h.date === '2025-10-29' ? { ...h, date: '2025-10-30' } : h));
+  const [, y2025] = diffHolidays(before, after).years;
+  assert.deepEqual(y2025.moved.map(m => [m.from, m.to]), [['2025-10-29', '2025-10-30']]);
+  assert.deepEqual([y2025.added, y2025.removed, y2025.renamed], [[], [], []]);
+  assert.equal(y2025.changes, 1);
+});
+
+test('renamed, added and removed holidays', () => {
+  const after = before
+    .filter(h => h.date !== '2025-05-05')
+    .map(h => (h.date === '2025-10-01' ? { ...h, name_en: 'National  Day ' } : h.date === '2025-07-01' ? { ...h, name_zh: '香港回歸紀念日' } : h))
+    .concat({ date: '2025-09-03', name_en: 'Victory Day', name_zh: '抗戰勝利紀念日' });
+  const [y2024, y2025] = diffHolidays(before, after, { beforeLabel: 'old.json', afterLabel: 'new.json' }).years;
+  assert.equal(y2024.changes, 0);
+  assert.deepEqual(y2025.renamed.map(r => [r.date, r.after.name_zh]), [['2025-07-01', '香港回歸紀念日']]);
+  assert.deepEqual(y2025.added.map(h => h.date), ['2025-09-03']);
+  assert.deepEqual(y2025.removed.map(h => h.name_en), ['The Birthday of the Buddha']);
+  const md = diffMarkdown(diffHolidays(before, after, { beforeLabel: 'old.json', afterLabel: 'new.json' }));
+  assert.match(md, /Before: `old\.json`/);
+  assert.match(md, /Victory Day/);
+});
+
+test('only years on both sides are compared, in the languages both carry', () => {
+  const english = hk(2025).concat(hk(2026)).map(({ date, name_en }) => ({ date, name_en }));
+  const result = diffHolidays(before, english);
+  assert.deepEqual(result.languages, ['en']);
+  assert.deepEqual(result.years.map(y => y.year), [2025]);
+  assert.deepEqual(result.onlyBefore, [2024]);
+  assert.deepEqual(result.onlyAfter, [2026]);
+  assert.equal(result.changes, 0);
+});
+
+test('single-language ICS snapshots merge into one list', () => {
+  const ics = (summary, date) => ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', `DTSTART;VALUE=DATE:${date}`, `SUMMARY:${summary}`, 'END:VEVENT', 'END:VCALENDAR', ''].join('\r\n');
+  const en = snapshotRecords(ics('National Day', '20251001'), { lang: 'en' });
+  const zh = snapshotRecords(ics('國慶日', '20251001'), { lang: 'zh' });
+  assert.deepEqual(mergeSnapshots([en, zh]), [{ date: '2025-10-01', name_en: 'National Day', name_zh: '國慶日' }]);
+});
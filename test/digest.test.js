@@ -0,0 +1,67 @@
+// Upcoming-holiday digest: window, long weekends, weekend notes and formats.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { digest } from '../cli/commands.js';
+import { formatDigest, upcomingHolidays } from '../lib/digest.js';
+
+const all = JSON.parse(readFileSync(new URL('../data/company_holidays_ALL.json', import.meta.url), 'utf8'));
+const hk = all.filter(h => !h.entity && !h.region);
+
+test('holidays in the window with weekend notes', () => {
+  const result = upcomingHolidays(hk, { from: '2026-09-20', days: 14 });
+  assert.deepEqual([result.from, result.to, result.days, result.region], ['2026-09-20', '2026-10-03', 14, 'HK']);
+  assert.deepEqual(result.holidays.map(h => [h.date, h.in, h.weekend, h.longWeekend]), [
+    ['2026-09-26', 6, 'saturday', null],
+    ['2026-10-01', 11, null, null],
+  ]);
+  assert.deepEqual(result.longWeekends, []);
+});
+
+test('long weekends may start before the window', () => {
+  const result = upcomingHolidays(hk, { from: '2026-04-05', days: 7 });
+  assert.deepEqual(result.longWeekends, [{ start: '2026-04-03', end: '2026-04-07', days: 5, holidays: ['2026-04-06', '2026-04-07'] }]);
+  assert.ok(result.holidays.every(h => h.longWeekend === '2026-04-03'));
+});
+
+test('a half day is listed but only joins a long weekend with halfDays off', () => {
+  const eve = { date: '2026-12-24', name_en: 'Christmas Eve', name_zh: '平安夜', statutory: false, type: 'half_day', cutoff: '13:00', source: 'company' };
+  const records = [...hk, eve];
+  const result = upcomingHolidays(records, { from: '2026-12-21', days: 7 });
+  assert.deepEqual(result.holidays.map(h => [h.date, h.type, h.longWeekend]), [
+    ['2026-12-24', 'half_day', null],
+    ['2026-12-25', 'general', '2026-12-25'],
+    ['2026-12-26', 'general', '2026-12-25'],
+  ]);
+  assert.equal(result.holidays[0].cutoff, '13:00');
+  assert.deepEqual(upcomingHolidays(records, { from: '2026-12-21', days: 7, halfDays: 'off' }).longWeekends.map(w => [w.start, w.days]), [['2026-12-24', 4]]);
+});
+
+test('statutoryOnly leaves other holidays out', () => {
+  const result = upcomingHolidays(hk, { from: '2026-12-21', days: 7, statutoryOnly: true });
+  assert.deepEqual(result.holidays.map(h => h.date), ['2026-12-25']);
+});
+
+test('formats are bilingual by default and feed ids depend only on the date', () => {
+  const result = upcomingHolidays(hk, { from: '2026-09-20', days: 14 });
+  const md = formatDigest(result, 'md');
+  assert.match(md, /^# Upcoming holidays \(Hong Kong\) \/ 即將來臨的假期（香港）/);
+  assert.match(md, /- \*\*2026-09-26 \(Sat \/ 星期六\)\*\* .* falls on a Saturday \/ 適逢星期六/);
+  assert.doesNotMatch(formatDigest(result, 'txt', { lang: 'en' }), /星期/);
+  assert.match(formatDigest(result, 'rss'), /<guid isPermaLink="false">urn:hk-holidays:hk:2026-10-01<\/guid>/);
+  assert.match(formatDigest(result, 'atom', { lang: 'zh' }), /<id>urn:hk-holidays:hk:2026-10-01<\/id>/);
+  const webhook = JSON.parse(formatDigest(result, 'json'));
+  assert.match(webhook.text, /National Day \/ 國慶日/);
+  assert.equal(webhook.holidays.length, 2);
+  const empty = upcomingHolidays(hk, { from: '2026-11-01', days: 7 });
+  assert.match(formatDigest(empty, 'txt', { lang: 'en' }), /No holidays in the next 7 days\./);
+});
+
+test('days and weeks must be positive whole numbers', () => {
+  assert.throws(() => upcomingHolidays(hk, { days: 0 }), RangeError);
+  assert.throws(() => upcomingHolidays(hk, { days: 1.5 }), RangeError);
+  for (const options of [{ days: '-3' }, { days: '1.5' }, { weeks: '0' }, { weeks: 'two' }]) {
+    assert.throws(() => digest({ args: ['2026-01-01'], options, dirs: {} }), /expected a positive whole number/);
+  }
+});
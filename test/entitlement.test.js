@@ -0,0 +1,61 @@
+// Employment Ordinance holiday entitlement (s. 39, s. 40, s. 41AA).
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { annualLeaveDays, holidayEntitlement } from '../lib/entitlement.js';
+
+const holiday = (date, name_en, statutory = true) => ({ date, name_en, name_zh: name_en, statutory, type: 'general', source: 'test' });
+
+const records = [
+  holiday('2026-01-01', 'The first day of January'),
+  holiday('2026-10-01', 'National Day'),
+  holiday('2026-10-18', 'Chung Yeung Festival'),
+  holiday('2026-12-25', 'Christmas Day'),
+  holiday('2026-12-26', 'The first weekday after Christmas Day', false),
+  holiday('2027-12-25', 'Christmas Day'),
+];
+
+test('statutory holidays while employed are granted from the first day (s. 39)', () => {
+  const r = holidayEntitlement(records, 2026, { start: '2026-09-30', end: '2026-12-25' });
+  assert.equal(r.statutory, 4);
+  assert.equal(r.entitled, 3);
+  assert.deepEqual(r.holidays.filter(h => h.employed).map(h => h.date), ['2026-10-01', '2026-10-18', '2026-12-25']);
+});
+
+test('holiday pay starts after 3 months of service (s. 40)', () => {
+  const paid = employee => holidayEntitlement(records, 2026, employee).holidays.filter(h => h.paid).map(h => h.date);
+  assert.deepEqual(paid({ start: '2026-07-01' }), ['2026-10-01', '2026-10-18', '2026-12-25']);
+  assert.deepEqual(paid({ start: '2026-07-02' }), ['2026-10-18', '2026-12-25']);
+  assert.equal(holidayEntitlement(records, 2026, { start: '2026-07-01', averageDailyWage: 650.5 }).holidayPay, 1951.5);
+});
+
+test('a holiday on a rest day moves to the next day that is not a rest day or holiday (s. 39(3))', () => {
+  assert.deepEqual(holidayEntitlement(records, 2026, { start: '2020-01-01' }).substitutes, [{ for: '2026-10-18', date: '2026-10-19' }]);
+  const busy = [...records, holiday('2026-10-19', 'Test holiday')];
+  assert.deepEqual(holidayEntitlement(busy, 2026, { start: '2020-01-01' }).substitutes, [{ for: '2026-10-18', date: '2026-10-20' }]);
+  const weekend = holidayEntitlement(records, 2027, { start: '2020-01-01', restDays: 'sat-sun' });
+  assert.deepEqual(weekend.substitutes, [{ for: '2027-12-25', date: '2027-12-27' }]);
+});
+
+test('no substitute day after the end of employment', () => {
+  const r = holidayEntitlement(records, 2026, { start: '2026-06-15', end: '2026-10-18' });
+  const chungYeung = r.holidays.find(h => h.date === '2026-10-18');
+  assert.equal(chungYeung.employed, true);
+  assert.equal(chungYeung.restDay, true);
+  assert.equal(chungYeung.substitute, null);
+  assert.deepEqual(r.substitutes, []);
+  const later = holidayEntitlement(records, 2026, { start: '2026-06-15', end: '2026-10-19' });
+  assert.deepEqual(later.substitutes, [{ for: '2026-10-18', date: '2026-10-19' }]);
+});
+
+test('annual leave grows from 7 to 14 days with service (s. 41AA)', () => {
+  assert.deepEqual([1, 2, 3, 8, 9, 20].map(annualLeaveDays), [7, 7, 8, 13, 14, 14]);
+  assert.throws(() => annualLeaveDays(0), RangeError);
+  assert.deepEqual(holidayEntitlement(records, 2026, { start: '2024-03-01' }).annualLeave, { date: '2026-03-01', serviceYear: 2, days: 7 });
+  assert.equal(holidayEntitlement(records, 2026, { start: '2024-03-01', end: '2026-02-28' }).annualLeave, null);
+});
+
+test('employees need a rest day and an end date after the start', () => {
+  assert.throws(() => holidayEntitlement(records, 2026, { start: '2026-01-01', restDays: [] }), RangeError);
+  assert.throws(() => holidayEntitlement(records, 2026, { start: '2026-03-01', end: '2026-02-01' }), RangeError);
+});
@@ -0,0 +1,43 @@
+// iCalendar export: stable UIDs, DTSTAMP, folding.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { generateHolidays } from '../lib/generator.js';
+import { foldLine, toICS } from '../lib/ics-export.js';
+
+const official = JSON.parse(readFileSync(new URL('../data/company_holidays_ALL.json', import.meta.url), 'utf8'));
+const dtstamp = new Date(Date.UTC(2025, 0, 1));
+const uids = records => toICS(records, { dtstamp }).match(/^UID:.*$/gm);
+
+test('UIDs stay the same when official records replace provisional ones', () => {
+  const provisional = generateHolidays(2025);
+  const gazetted = official.filter(h => h.date.startsWith('2025-') && !h.entity && !h.region);
+  assert.ok(provisional.every(h => h.provisional));
+  assert.ok(gazetted.every(h => !h.provisional && h.source !== 'generated'));
+  assert.equal(gazetted.length, provisional.length);
+  assert.deepEqual(uids(gazetted), uids(provisional));
+  assert.ok(uids(gazetted).includes('UID:20251226-christmas-weekday-1-hk@hk-holidays'));
+});
+
+test('UIDs carry the entity and region, and repeats get a suffix', () => {
+  const h = { date: '2025-12-24', name_en: 'Christmas Eve', name_zh: '平安夜', statutory: false, type: 'half_day', cutoff: '13:00', source: 'overlay', entity: 'hk-office' };
+  assert.deepEqual(uids([h, h]), ['UID:20251224-half-day-hk-office-hk@hk-holidays', 'UID:20251224-half-day-hk-office-hk-2@hk-holidays']);
+});
+
+test('events are all-day with the given DTSTAMP and status', () => {
+  const ics = toICS([{ ...generateHolidays(2025)[0] }], { dtstamp });
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /\r\nDTSTAMP:20250101T000000Z\r\n/);
+  assert.match(ics, /\r\nDTSTART;VALUE=DATE:20250101\r\nDTEND;VALUE=DATE:20250102\r\n/);
+  assert.match(ics, /\r\nSTATUS:TENTATIVE\r\n/);
+  assert.equal(toICS(official.slice(0, 5), { dtstamp }), toICS(official.slice(0, 5), { dtstamp }));
+});
+
+test('long lines fold at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'聖誕節'.repeat(20)}`;
+  const parts = foldLine(line).split('\r\n ');
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every((p, i) => Buffer.byteLength(p) <= (i ? 74 : 75)));
+  assert.equal(parts.join(''), line);
+});
@@ -0,0 +1,51 @@
+// Leave planner: bridges between days off and the best use of a budget.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { leaveBreaks, planLeave } from '../lib/leave-planner.js';
+
+const all = JSON.parse(readFileSync(new URL('../data/company_holidays_ALL.json', import.meta.url), 'utf8'));
+const hk2026 = all.filter(h => h.date.startsWith('2026-') && !h.entity && !h.region);
+
+test('five days of leave in 2026 give the longest breaks', () => {
+  const plan = planLeave(hk2026, { year: 2026, budget: 5 });
+  assert.deepEqual(plan.leaveDays, ['2026-02-20', '2026-04-08', '2026-04-09', '2026-04-10', '2026-10-02']);
+  assert.deepEqual(plan.breaks.map(b => [b.start, b.end, b.days]), [
+    ['2026-02-17', '2026-02-22', 6],
+    ['2026-04-03', '2026-04-12', 10],
+    ['2026-10-01', '2026-10-04', 4],
+  ]);
+  assert.equal(plan.longest, 10);
+  assert.equal(plan.unused, 0);
+  // Other ways to spend five days make shorter breaks in total.
+  const total = leave => leaveBreaks(hk2026, leave, { year: 2026 }).breaks.reduce((n, b) => n + b.days, 0);
+  assert.equal(total(plan.leaveDays), 20);
+  assert.equal(total(['2026-02-16', '2026-02-20', '2026-04-08', '2026-04-09', '2026-04-10']), 19);
+  assert.equal(total(['2026-01-02', '2026-02-16', '2026-02-20', '2026-10-02', '2026-07-02']), 19);
+});
+
+test('leave that cannot complete a bridge is unused', () => {
+  assert.deepEqual(planLeave(hk2026, { year: 2026, budget: 0 }).leaveDays, []);
+  const plan = planLeave(hk2026, { year: 2026, budget: 1 });
+  assert.equal(plan.leaveUsed, 1);
+  assert.equal(plan.longest, 6);
+  const every = planLeave(hk2026, { year: 2026, budget: 400 });
+  assert.equal(every.breaks.length, 1);
+  assert.equal(every.unused, 400 - every.leaveUsed);
+});
+
+test('leave on days already off is ignored', () => {
+  const r = leaveBreaks(hk2026, ['2026-10-02', '2026-10-03', '2026-10-01'], { year: 2026 });
+  assert.deepEqual(r.leaveDays, ['2026-10-02']);
+  assert.deepEqual(r.ignored, ['2026-10-01', '2026-10-03']);
+  assert.deepEqual(r.breaks, [{ start: '2026-10-01', end: '2026-10-04', days: 4, leave: ['2026-10-02'] }]);
+});
+
+test('business-day options change the days off', () => {
+  const sundays = planLeave(hk2026, { year: 2026, budget: 1, weekend: 'sun' });
+  assert.ok(sundays.breaks.every(b => b.leave.length === 1));
+  assert.ok(sundays.daysOff < planLeave(hk2026, { year: 2026, budget: 1 }).daysOff);
+  assert.throws(() => planLeave(hk2026, { year: 2026, budget: 1.5 }), TypeError);
+  assert.throws(() => planLeave(hk2026, { year: 'next', budget: 1 }), TypeError);
+});
@@ -0,0 +1,44 @@
+// Lunar calendar dates against the Hong Kong Observatory's published
+// calendars, for years where a new moon falls close to midnight.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { generateHolidays } from '../lib/generator.js';
+import { lunarDateName, lunarDayLabel, lunarNewYear, lunarToSolar } from '../lib/lunar.js';
+
+// HKO: Lunar New Year's Day, Buddha's Birthday, Tuen Ng, Mid-Autumn, Chung Yeung.
+const HKO = {
+  2027: ['2027-02-06', '2027-05-13', '2027-06-09', '2027-09-15', '2027-10-08'],
+  2028: ['2028-01-26', '2028-05-02', '2028-05-28', '2028-10-03', '2028-10-26'],
+  2029: ['2029-02-13', '2029-05-20', '2029-06-16', '2029-09-22', '2029-10-16'],
+  2030: ['2030-02-03', '2030-05-09', '2030-06-05', '2030-09-12', '2030-10-05'],
+};
+
+test('lunar festivals 2027–2030 match HKO', () => {
+  for (const [year, dates] of Object.entries(HKO)) {
+    const y = Number(year);
+    assert.deepEqual([lunarNewYear(y), ...[[4, 8], [5, 5], [8, 15], [9, 9]].map(([m, d]) => lunarToSolar(y, m, d))], dates, year);
+  }
+});
+
+test('Lunar New Year holidays 2027 and 2030', () => {
+  const lny = year => generateHolidays(year).filter(h => /Lunar New Year/.test(h.name_en)).map(h => h.date);
+  // 2027: the second day is a Sunday, so the fourth day is a holiday.
+  assert.deepEqual(lny(2027), ['2027-02-06', '2027-02-08', '2027-02-09']);
+  // 2030: Lunar New Year's Day is a Sunday.
+  assert.deepEqual(lny(2030), ['2030-02-04', '2030-02-05', '2030-02-06']);
+});
+
+test('leap months', () => {
+  assert.equal(lunarToSolar(2023, 2, 1, true), '2023-03-22');
+  assert.equal(lunarToSolar(2025, 6, 1, true), '2025-07-25');
+  assert.equal(lunarToSolar(2033, 11, 1, true), '2033-12-22');
+  assert.equal(lunarToSolar(2025, 7, 1, true), '');
+});
+
+test('calendar cell labels around Lunar New Year 2027 and 2030', () => {
+  const labels = dates => dates.map(d => `${lunarDayLabel(d)} ${lunarDateName(d)}`);
+  assert.deepEqual(labels(['2027-02-05', '2027-02-06', '2027-02-07']), ['廿九 十二月廿九', '正月 正月初一', '初二 正月初二']);
+  assert.deepEqual(labels(['2030-02-02', '2030-02-03', '2030-02-04']), ['三十 十二月三十', '正月 正月初一', '初二 正月初二']);
+  assert.deepEqual(labels(['2025-07-24', '2025-07-25']), ['三十 六月三十', '閏六月 閏六月初一']);
+});
@@ -0,0 +1,71 @@
+// Source merging: priority, per-field provenance and conflicts.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { conflictMarkdown, mergeSources, rankSources } from '../lib/merge.js';
+
+const feed = { id: 'https://www.1823.gov.hk/common/ical/en.json', kind: '1823', records: [
+  { date: '2025-10-01', name_en: 'National Day' },
+  { date: '2025-10-07', name_en: 'The day following the Chinese Mid-Autumn Festival' },
+  { date: '2025-10-29', name_en: 'Chung Yeung Festival' },
+] };
+const govhk = { id: 'govhk-2025.html', kind: 'govhk', records: [
+  { date: '2025-10-01', name_en: 'National Day', name_zh: '國慶日' },
+  { date: '2025-10-07', name_en: 'The Day Following the Chinese Mid-Autumn Festival', name_zh: '中秋節翌日' },
+  { date: '2025-10-28', name_en: 'Chung Yeung Festival', name_zh: '重陽節' },
+] };
+
+test('sources rank by kind, overrides first, then newest snapshot', () => {
+  const sources = [
+    { id: 'old', kind: '1823', stamp: '20240101-0900', records: [] },
+    { id: 'gov', kind: 'govhk', records: [] },
+    { id: 'fix', kind: 'local', override: true, records: [] },
+    { id: 'saved', kind: '1823', records: [] },
+    { id: 'local', kind: 'local', records: [] },
+  ];
+  assert.deepEqual(rankSources(sources).map(s => s.id), ['fix', 'local', 'saved', 'old', 'gov']);
+  assert.deepEqual(rankSources(sources, ['govhk', '1823', 'local']).map(s => s.id), ['gov', 'saved', 'old', 'fix', 'local']);
+});
+
+test('the best source decides the dates and each name comes from the best source that has it', () => {
+  const result = mergeSources([govhk, feed]);
+  assert.deepEqual(result.records.map(h => h.date), ['2025-10-01', '2025-10-07', '2025-10-29']);
+  assert.ok(result.records.every(h => h.source === '1823' && h.type === 'general' && h.statutory === false));
+  assert.deepEqual(result.provenance['2025-10-29'], { date: feed.id, name_en: feed.id });
+  assert.deepEqual(result.provenance['2025-10-01'], { date: feed.id, name_en: feed.id, name_zh: 'govhk-2025.html' });
+  assert.equal(result.records[0].name_zh, '國慶日');
+});
+
+test('dates and names that sources disagree on are reported', () => {
+  const { conflicts } = mergeSources([govhk, feed]);
+  assert.deepEqual(conflicts.filter(c => c.kind === 'date').map(c => [c.date, c.kept, c.presentIn, c.missingIn]), [
+    ['2025-10-28', false, ['govhk-2025.html'], [feed.id]],
+    ['2025-10-29', true, [feed.id], ['govhk-2025.html']],
+  ]);
+  // Case and spacing differences are not conflicts.
+  assert.deepEqual(conflicts.filter(c => c.kind === 'name'), []);
+  const renamed = { ...govhk, records: [{ date: '2025-10-01', name_en: 'National Day of the PRC' }] };
+  const names = mergeSources([renamed, feed]).conflicts.filter(c => c.kind === 'name');
+  assert.deepEqual(names.map(c => [c.date, c.chosen, c.values.length]), [['2025-10-01', 'National Day', 2]]);
+});
+
+test('an override renames or adds days without dropping the others', () => {
+  const local = { id: 'data/local.json', kind: 'local', override: true, records: [
+    { date: '2025-10-29', name_zh: '重陽節' },
+    { date: '2025-12-24', name_en: 'Christmas Eve', type: 'half_day' },
+  ] };
+  const result = mergeSources([feed, local]);
+  assert.deepEqual(result.records.map(h => h.date), ['2025-10-01', '2025-10-07', '2025-10-29', '2025-12-24']);
+  assert.equal(result.records[2].name_zh, '重陽節');
+  assert.equal(result.records[2].source, 'local');
+  assert.equal(result.records[3].type, 'half_day');
+  assert.match(conflictMarkdown(result), /\| 1 \| data\/local\.json \| local \(override\) \|/);
+});
+
+test('a year only one source covers is taken from it', () => {
+  const next = { id: 'govhk-2026.html', kind: 'govhk', records: [{ date: '2026-01-01', name_en: 'The first day of January' }] };
+  const result = mergeSources([feed, next]);
+  assert.deepEqual(result.records.filter(h => h.date.startsWith('2026')).map(h => h.source), ['govhk']);
+  assert.equal(result.conflicts.length, 0);
+  assert.match(conflictMarkdown(result), /No conflicts between sources/);
+});
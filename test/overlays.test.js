@@ -0,0 +1,72 @@
+// Company overlays: remove → swap → Saturday substitutes → add, and closures.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { applyOverlay, overlayEntities } from '../lib/overlays.js';
+
+const holiday = (date, name_en, name_zh) => ({ date, name_en, name_zh, statutory: true, type: 'general', source: '1823' });
+
+const records = [
+  holiday('2026-01-01', 'The first day of January', '一月一日'),
+  holiday('2026-04-06', 'Easter Monday', '復活節星期一'),
+  holiday('2026-10-01', 'National Day', '國慶日'),
+  holiday('2026-12-25', 'Christmas Day', '聖誕節'),
+  holiday('2026-12-26', 'The first weekday after Christmas Day', '聖誕節後第一個周日'),
+  holiday('2027-01-01', 'The first day of January', '一月一日'),
+];
+
+const dates = list => list.map(h => h.date);
+
+test('no entity copies the records unchanged', () => {
+  const out = applyOverlay(records, null);
+  assert.deepEqual(out, records);
+  assert.notEqual(out[0], records[0]);
+});
+
+test('remove matches full dates, MM-DD in every year, and names', () => {
+  const out = applyOverlay(records, { id: 'x', remove: ['2026-10-01', '01-01', { name_en: 'Easter Monday' }] });
+  assert.deepEqual(dates(out), ['2026-12-25', '2026-12-26']);
+  assert.ok(out.every(h => h.entity === 'x'));
+});
+
+test('swap moves a day and records where it came from', () => {
+  const out = applyOverlay(records, { id: 'x', swap: [{ from: '2026-10-01', to: '2026-10-02' }] });
+  const moved = out.find(h => h.date === '2026-10-02');
+  assert.equal(moved.name_en, 'National Day');
+  assert.equal(moved.swapped_from, '2026-10-01');
+  assert.equal(moved.source, 'company');
+  assert.throws(() => applyOverlay(records, { id: 'x', swap: [{ from: '10-01', to: '10-02' }] }), /full YYYY-MM-DD/);
+});
+
+test('a general holiday on Saturday gets a substitute working day', () => {
+  const next = applyOverlay(records, { id: 'x', saturday_substitute: 'next_workday' }).find(h => h.substitute_for);
+  assert.deepEqual(
+    { date: next.date, name_en: next.name_en, name_zh: next.name_zh, type: next.type },
+    { date: '2026-12-28', name_en: 'Substitute holiday for the first weekday after Christmas Day', name_zh: '聖誕節後第一個周日補假', type: 'company' },
+  );
+  const previous = applyOverlay(records, { id: 'x', saturday_substitute: 'previous_workday' }).find(h => h.substitute_for);
+  assert.equal(previous.date, '2026-12-24');
+  assert.throws(() => applyOverlay(records, { id: 'x', saturday_substitute: 'sunday' }), /unknown saturday_substitute/);
+});
+
+test('added days never trigger a substitute and must be valid records', () => {
+  const entity = { id: 'x', saturday_substitute: 'next_workday', remove: ['2026-12-26'], add: [{ date: '12-26', name_en: 'Boxing Day', name_zh: '節禮日' }] };
+  const out = applyOverlay(records, entity);
+  assert.ok(!out.some(h => h.substitute_for));
+  assert.deepEqual(out.filter(h => h.name_en === 'Boxing Day').map(h => [h.date, h.type]), [['2026-12-26', 'company'], ['2027-12-26', 'company']]);
+  assert.throws(() => applyOverlay(records, { id: 'x', add: [{ date: '12-24', type: 'half_day' }] }), /cutoff/);
+  assert.throws(() => applyOverlay(records, { id: 'x', add: [{ date: 'Dec 24' }] }), /bad date/);
+});
+
+test('closures apply to every entity and bad ids are dropped', () => {
+  const config = {
+    entities: [{ id: 'hk-office' }, { id: 'sz office' }, { id: 'sz-office', add: [{ date: '2026-02-16', name_en: 'Lunar New Year’s Eve' }] }],
+    closures: [{ date: '2026-09-24', name_en: 'Typhoon Ragasa', name_zh: '颱風樺加沙', reason: 'typhoon' }],
+  };
+  const entities = overlayEntities(config);
+  assert.deepEqual(entities.map(e => e.id), ['hk-office', 'sz-office']);
+  assert.deepEqual(entities[1].add.map(a => a.date), ['2026-02-16', '2026-09-24']);
+  const closure = applyOverlay(records, entities[0]).find(h => h.date === '2026-09-24');
+  assert.equal(closure.type, 'closure');
+  assert.equal(closure.entity, 'hk-office');
+});
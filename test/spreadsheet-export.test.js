@@ -0,0 +1,59 @@
+// CSV and XLSX export: columns, filters, quoting, BOM and the stored zip.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { exportColumns, filterHolidays, toCSV } from '../lib/csv-export.js';
+import { toXLSX } from '../lib/xlsx-export.js';
+
+const records = [
+  { date: '2025-12-25', name_en: 'Christmas Day', name_zh: '聖誕節', statutory: true, type: 'general', source: '1823' },
+  { date: '2025-12-26', name_en: 'The first weekday after Christmas Day', name_zh: '聖誕節後第一個周日', statutory: false, type: 'general', source: '1823' },
+  { date: '2026-12-24', name_en: 'Christmas Eve, "half day"', name_zh: '平安夜', statutory: false, type: 'half_day', cutoff: '13:00', source: 'company', entity: 'hk-office' },
+];
+
+// Entries of a stored (uncompressed) zip as { name → text }.
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = {};
+  for (let at = 0; view.getUint32(at, true) === 0x04034b50;) {
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 30, at + 30 + nameLength));
+    const start = at + 30 + nameLength;
+    files[name] = new TextDecoder().decode(bytes.subarray(start, start + size));
+    at = start + size;
+  }
+  return files;
+}
+
+test('CSV has the default columns, CRLF lines and quotes only where needed', () => {
+  const lines = toCSV(records).split('\r\n');
+  assert.equal(lines[0], 'Date,Weekday,Weekday (Chinese),English name,Chinese name,General holiday,Statutory holiday,Source');
+  assert.equal(lines[1], '2025-12-25,Thursday,星期四,Christmas Day,聖誕節,TRUE,TRUE,1823');
+  assert.equal(lines[3], '2026-12-24,Thursday,星期四,"Christmas Eve, ""half day""",平安夜,FALSE,FALSE,company');
+  assert.equal(lines[4], '');
+});
+
+test('CSV columns, Chinese headers and the BOM', () => {
+  const csv = toCSV(records.slice(2), { columns: 'date,type,type_label,region', lang: 'zh', bom: true });
+  assert.equal(csv, '\uFEFF日期,類別,類別說明,地區\r\n2026-12-24,half_day,半日假（13:00 起）,HK\r\n');
+  assert.throws(() => exportColumns('date,colour'), /Unknown column\(s\): colour/);
+});
+
+test('filters by year range and statutory flag', () => {
+  assert.deepEqual(filterHolidays(records, { from: 2026 }).map(h => h.date), ['2026-12-24']);
+  assert.deepEqual(filterHolidays(records, { to: '2025' }).map(h => h.date), ['2025-12-25', '2025-12-26']);
+  assert.deepEqual(filterHolidays(records, { statutoryOnly: true }).map(h => h.date), ['2025-12-25']);
+});
+
+test('XLSX is a workbook with real dates and escaped text', () => {
+  const bytes = toXLSX(records, { columns: ['date', 'name_en'], sheetName: 'Holidays 2025/26' });
+  assert.ok(bytes instanceof Uint8Array);
+  const files = unzip(bytes);
+  assert.deepEqual(Object.keys(files), ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml']);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Holidays 2025 26"/);
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="A2" s="2"><v>46016<\/v><\/c>/);
+  assert.match(sheet, /<c r="B4" t="inlineStr"><is><t xml:space="preserve">Christmas Eve, &quot;half day&quot;<\/t><\/is><\/c>/);
+  assert.deepEqual(toXLSX(records), toXLSX(records));
+});
@@ -0,0 +1,45 @@
+// Team leave files (JSON / CSV) and headcount per working day.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createBusinessCalendar } from '../lib/business-days.js';
+import { parseCSV, parseTeamLeave, teamAway } from '../lib/team-leave.js';
+
+const christmas = [
+  { date: '2025-12-25', name_en: 'Christmas Day', name_zh: '聖誕節', statutory: true, type: 'general', source: '1823' },
+  { date: '2025-12-26', name_en: 'The first weekday after Christmas Day', name_zh: '聖誕節後第一個周日', statutory: false, type: 'general', source: '1823' },
+];
+
+test('CSV with quotes, CRLF, a BOM and blank lines', () => {
+  assert.deepEqual(parseCSV('\uFEFFa,b\r\n\r\n"x, ""y""",2\r\n"multi\nline",3'), [['a', 'b'], ['x, "y"', '2'], ['multi\nline', '3']]);
+  const csv = 'Person,Start,End,Note\nAlice,2025-12-22,2025-12-31,Annual leave\nBob,20251229,,\n';
+  assert.deepEqual(parseTeamLeave(csv), [
+    { person: 'Alice', start: '2025-12-22', end: '2025-12-31', note: 'Annual leave' },
+    { person: 'Bob', start: '2025-12-29', end: '2025-12-29', note: '' },
+  ]);
+});
+
+test('JSON lists, { leave } objects and alternative field names', () => {
+  const entry = { person: 'Carol', start: '2025-12-24', end: '2025-12-24', note: 'Sick leave' };
+  assert.deepEqual(parseTeamLeave('[{ "name": "Carol", "date": "2025-12-24", "reason": "Sick leave" }]'), [entry]);
+  assert.deepEqual(parseTeamLeave(JSON.stringify({ leave: [{ person: 'Carol', from: '20251224', to: '20251224', type: 'Sick leave' }] })), [entry]);
+  assert.throws(() => parseTeamLeave('{ "people": [] }'), /must be a list/);
+});
+
+test('errors name the JSON entry or the CSV line in the file', () => {
+  assert.throws(() => parseTeamLeave('[{ "person": "A", "start": "2025-12-01" }, { "person": "B" }]'), /entry 2: invalid start/);
+  assert.throws(() => parseTeamLeave('person,start,end\nA,2025-12-02,2025-12-01\n'), /line 2: ends \(2025-12-01\) before it starts/);
+  assert.throws(() => parseTeamLeave('\nperson,start\n\nA,2025-12-01\n\n,2025-12-02\n'), /line 6: no person/);
+  assert.throws(() => parseTeamLeave('person,start,note\nA,2025-12-01,"two\nlines"\nB,someday,\n'), /line 4: invalid start "someday"/);
+  assert.throws(() => parseTeamLeave('who,when\nA,2025-12-01\n'), /header row with person and start/);
+});
+
+test('only working days count and over-limit days are flagged', () => {
+  const business = createBusinessCalendar(christmas);
+  const entries = parseTeamLeave('person,start,end\nAlice,2025-12-22,2025-12-31\nBob,2025-12-29\nBob,2025-12-29,2025-12-30\nCarol,2025-12-27\n');
+  const { people, days } = teamAway(entries, { isBusinessDay: d => business.isBusinessDay(d), maxAway: 1 });
+  assert.deepEqual(people, ['Alice', 'Bob', 'Carol']);
+  assert.deepEqual([...days.keys()], ['2025-12-22', '2025-12-23', '2025-12-24', '2025-12-29', '2025-12-30', '2025-12-31']);
+  assert.deepEqual(days.get('2025-12-29'), { count: 2, away: [{ person: 'Alice', note: '' }, { person: 'Bob', note: '' }], over: true });
+  assert.equal(days.get('2025-12-31').over, false);
+});
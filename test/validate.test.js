@@ -0,0 +1,64 @@
+// Validation gate: counts, missing days, statutory flags, schema, regions.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { generateHolidays } from '../lib/generator.js';
+import { markStatutory } from '../lib/statutory.js';
+import { validateHolidays, validationMarkdown } from '../lib/validate.js';
+
+const read = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const official = read('../data/company_holidays_ALL.json').filter(h => h.date.startsWith('2025-') && !h.entity && !h.region);
+const schema = read('../schema/holiday-record.schema.json');
+const codes = result => result.issues.map(i => i.code).sort();
+
+test('the gazetted 2025 list passes', () => {
+  const result = validateHolidays(official, { schema });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(result.years, [{ year: 2025, region: 'HK', total: 17, statutory: 14, expectedStatutory: 14, missingEn: 0, missingZh: 0, duplicates: 0, provisional: false }]);
+});
+
+test('a missing general holiday fails the count and the ordinance list', () => {
+  const result = validateHolidays(official.filter(h => h.name_en !== 'National Day'));
+  assert.equal(result.ok, false);
+  assert.deepEqual(codes(result), ['count', 'missing_day', 'statutory']);
+  assert.match(result.issues.find(i => i.code === 'count').message, /16 general holidays, expected 17/);
+});
+
+test('duplicates, Sundays, missing names and statutory flags are errors', () => {
+  const broken = official.map(h => {
+    if (h.name_en === 'Labour Day') return { ...h, name_zh: '' };
+    if (h.name_en === 'Chung Yeung Festival') return { ...h, date: '2025-10-26' };
+    if (h.name_en === 'Good Friday') return { ...h, statutory: true, date: '2025-04-19' };
+    return h;
+  });
+  const result = validateHolidays(broken);
+  assert.deepEqual(codes(result), ['duplicate', 'missing_zh', 'statutory', 'sunday']);
+  assert.equal(result.years[0].duplicates, 1);
+});
+
+test('schema errors carry the record index', () => {
+  const result = validateHolidays([...official, { date: '2025-13-01', name_en: 'x' }], { schema });
+  const schemaIssues = result.issues.filter(i => i.code === 'schema');
+  assert.ok(schemaIssues.length > 0);
+  assert.ok(schemaIssues.every(i => i.message.startsWith('#17: ')));
+});
+
+test('generated years pass with a provisional warning', () => {
+  const result = validateHolidays(markStatutory(generateHolidays(2031)));
+  assert.equal(result.ok, true);
+  assert.deepEqual(codes(result), ['provisional']);
+  assert.match(validationMarkdown(result), /\| 2031 \| 17 \| 0 \| 0 \| 0 \| 17 \| 17 \| Yes \|/);
+});
+
+test('regions are checked without the Hong Kong ordinance', () => {
+  const cn = [
+    { date: '2026-10-01', name_en: 'National Day', name_zh: '國慶節', statutory: false, type: 'general', source: 'cn', region: 'CN' },
+    { date: '2026-10-09', name_en: 'Adjusted working day', name_zh: '調休上班日', statutory: false, type: 'workday', source: 'cn', region: 'CN' },
+  ];
+  const result = validateHolidays(cn);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.issues.map(i => [i.code, i.region, i.date]), [['workday', 'CN', '2026-10-09']]);
+  assert.match(validationMarkdown(result), /^\| Region \| Year/m);
+});